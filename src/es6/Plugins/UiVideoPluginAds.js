@@ -0,0 +1,794 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception, isPojo } from '@squirrel-forge/ui-util';
+import { loadText } from '../Utils/loadText.js';
+import { parseVAST, parseVASTTime } from '../Utils/parseVAST.js';
+
+/**
+ * Ui video plugin ads exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginAdsException extends Exception {}
+
+/**
+ * @typedef {Object} VideoAdBreak - Ad break definition
+ * @property {string|number} offset - Break position: start, end or seconds
+ * @property {null|string} vast - VAST xml
+ * @property {null|string} url - VAST url, loaded with the ads.loader
+ */
+
+/**
+ * @typedef {Object} VideoAdContent - Saved content state
+ * @property {VideoSource} source - Content source
+ * @property {number} time - Content position in seconds
+ * @property {boolean} play - Continue playing after the break
+ */
+
+/**
+ * Default tracking transport
+ * @param {string} url - Tracking url
+ * @return {void}
+ */
+const pixelTransport = ( url ) => {
+    new window.Image().src = url;
+};
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'ads.skip' : 'Skip ad',
+    'ads.link' : 'Visit advertiser',
+    'ads.label' : 'Ad :index of :count',
+};
+
+/**
+ * Ui video plugin ads
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginAds extends UiPlugin {
+
+    /**
+     * Ad breaks and their played state
+     * @private
+     * @property
+     * @type {Array<Array<VideoAdBreak,boolean>>}
+     */
+    #breaks = [];
+
+    /**
+     * Current content source
+     * @private
+     * @property
+     * @type {null|VideoSource}
+     */
+    #source = null;
+
+    /**
+     * Content sources list, renditions selected from the same list keep the break states
+     * @private
+     * @property
+     * @type {null|Array<VideoSource>}
+     */
+    #sources = null;
+
+    /**
+     * Saved content while a break is running
+     * @private
+     * @property
+     * @type {null|VideoAdContent}
+     */
+    #content = null;
+
+    /**
+     * Running break id, invalidates pending loads and content restores
+     * @private
+     * @property
+     * @type {number}
+     */
+    #break_id = 0;
+
+    /**
+     * Ads of the running break
+     * @private
+     * @property
+     * @type {Array<VASTAd>}
+     */
+    #ads = [];
+
+    /**
+     * Current ad index
+     * @private
+     * @property
+     * @type {number}
+     */
+    #index = -1;
+
+    /**
+     * Tracked events of the current ad
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #tracked = {};
+
+    /**
+     * Last ad position, seeking is reset to it
+     * @private
+     * @property
+     * @type {number}
+     */
+    #position = 0;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'ads';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Ads options
+            // @type {Object}
+            ads : {
+
+                // Ad breaks, played once per content source
+                // @type {Array<VideoAdBreak>}
+                breaks : [],
+
+                // VAST loader, receives the url and returns the xml or a Promise resolving it, see loadText
+                // @type {null|Function}
+                loader : null,
+
+                // Tracking transport, receives the url, event name and ad, uses an image pixel if null
+                // @type {null|Function}
+                transport : null,
+
+                // Max wrapper redirects
+                // @type {number}
+                wrappers : 5,
+
+                // Handle controls display with js
+                // @type {boolean}
+                display : true,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Ads references
+                // @type {object}
+                ads : {
+
+                    // Skip button, shown after the skip offset
+                    // @type {string}
+                    skip : '[data-video="ctrl:ad-skip"]',
+
+                    // Click through link
+                    // @type {string}
+                    link : '[data-video="ctrl:ad-link"]',
+
+                    // Ad position label
+                    // @type {string}
+                    label : '[data-video="label:ad"]',
+                },
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            ad : { global : false, classOn : 'ui-video--ad' },
+            adSkippable : { global : false, classOn : 'ui-video--ad-skippable' },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.update', ( event ) => {
+
+                // Keep the ad playing, the content is restored with the newly selected rendition
+                if ( !this.isAd() || !this.#content || !this.#is_rendition( event.detail.setter ) ) return;
+                event.preventDefault();
+                this.#content.source = event.detail.source;
+                this.#source = event.detail.source;
+            } ],
+            [ 'video.source.set', ( event ) => { this.#event_source_set( event ); } ],
+            [ 'video.source.error', ( event ) => {
+
+                // Skip failed ads instead of the component retry and fallback
+                if ( !this.isAd() ) return;
+                event.preventDefault();
+                this.#ad_error( 405 );
+            } ],
+            [ 'video.source.unset', () => {
+                this.#source = null;
+                this.#sources = null;
+                this.#break_id++;
+                if ( this.isAd() ) this.#end_break( false );
+            } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+        this.setBreaks( this.context.config.get( 'ads.breaks' ) );
+
+        // Bind video events
+        const video = this.context.video;
+        const signal = this.context.signal;
+        video.addEventListener( 'play', () => { this.#event_play(); }, { signal } );
+        video.addEventListener( 'timeupdate', () => { this.#event_timeupdate(); }, { signal } );
+        video.addEventListener( 'seeking', () => { this.#event_seeking(); }, { signal } );
+        video.addEventListener( 'ended', () => { this.#event_ended(); }, { signal } );
+        video.addEventListener( 'playing', () => { if ( this.isAd() ) this.#track( 'start' ); }, { signal } );
+        video.addEventListener( 'pause', () => {
+            if ( this.isAd() && this.#tracked.start && !video.ended ) this.#track( 'pause', true );
+        }, { signal } );
+        video.addEventListener( 'volumechange', () => {
+            if ( this.isAd() ) this.#track( video.muted ? 'mute' : 'unmute', true );
+        }, { signal } );
+
+        // Bind controls
+        const skip = this.context.getDomRefs( 'ads.skip', false );
+        const link = this.context.getDomRefs( 'ads.link', false );
+        const label = this.context.getDomRefs( 'ads.label', false );
+        if ( skip ) {
+            this.context.setLabel( skip, 'ads.skip' );
+            this.context.constructor.hideControl( skip, this.context.config.get( 'ads.display' ) );
+            skip.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.skip();
+            }, { signal } );
+        }
+        if ( link ) {
+            this.context.setLabel( link, 'ads.link' );
+            this.context.constructor.hideControl( link, this.context.config.get( 'ads.display' ) );
+            link.addEventListener( 'click', ( event ) => {
+                event.stopPropagation();
+                this.#click();
+            }, { signal } );
+        }
+        if ( label ) label.hidden = true;
+    }
+
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+        this.#break_id++;
+        this.#breaks = [];
+        this.#ads = [];
+        this.#content = null;
+        this.#source = null;
+        this.#sources = null;
+    }
+
+    /**
+     * Set ad breaks, resets the played state
+     * @public
+     * @param {Array<VideoAdBreak>} breaks - Ad breaks
+     * @return {void}
+     */
+    setBreaks( breaks ) {
+        if ( !( breaks instanceof Array ) ) throw new UiVideoPluginAdsException( 'Argument breaks must be an Array' );
+        for ( let i = 0; i < breaks.length; i++ ) {
+            const ad_break = breaks[ i ];
+            if ( !isPojo( ad_break ) ) throw new UiVideoPluginAdsException( 'Argument breaks[' + i + '] must be a plain Object' );
+            if ( ![ 'start', 'end' ].includes( ad_break.offset ) && !( typeof ad_break.offset === 'number' && ad_break.offset >= 0 ) ) {
+                throw new UiVideoPluginAdsException( 'Argument breaks[' + i + '].offset must be start, end or a positive number' );
+            }
+            if ( typeof ad_break.vast !== 'string' && typeof ad_break.url !== 'string' ) {
+                throw new UiVideoPluginAdsException( 'Argument breaks[' + i + '] requires a vast or url property' );
+            }
+        }
+        this.context.config.set( 'ads.breaks', breaks );
+        this.#breaks = breaks.map( ( ad_break ) => { return [ ad_break, false ]; } );
+    }
+
+    /**
+     * Ad is playing
+     * @public
+     * @return {boolean} - Ad state
+     */
+    isAd() {
+        return this.context.states.is( 'ad' );
+    }
+
+    /**
+     * Has an unplayed break at offset
+     * @public
+     * @param {string|number} offset - Break offset
+     * @return {boolean} - Pending state
+     */
+    isPending( offset ) {
+        return !!this.#breaks.find( ( entry ) => { return !entry[ 1 ] && entry[ 0 ].offset === offset; } );
+    }
+
+    /**
+     * Play ad break, the content position is restored afterwards
+     * @public
+     * @param {VideoAdBreak} ad_break - Ad break
+     * @return {Promise<void>} - Resolves when all ads were loaded and the first one is set
+     */
+    playBreak( ad_break ) {
+        if ( this.isAd() ) this.#end_break( false );
+        const video = this.context.video;
+        const id = ++this.#break_id;
+        this.#content = {
+            source : this.#source,
+            time : ad_break.offset === 'start' ? 0 : video.currentTime,
+            play : ad_break.offset !== 'end',
+        };
+        this.context.states.set( 'ad' );
+        this.context.dispatchEvent( 'video.ads.break.start', { break : ad_break } );
+        video.pause();
+        return this.#load( ad_break ).then( ( ads ) => {
+            if ( id !== this.#break_id ) return;
+            this.#ads = ads.sort( ( a, b ) => { return ( a.sequence || 0 ) - ( b.sequence || 0 ); } );
+            this.#index = -1;
+            this.#next();
+        } ).catch( ( e ) => {
+            if ( id !== this.#break_id ) return;
+            if ( this.debug ) this.debug.error( this.constructor.name + '::playBreak Failed to load ads:', e );
+            this.context.dispatchEvent( 'video.ads.error', { ad : null, error : e } );
+            this.#end_break();
+        } );
+    }
+
+    /**
+     * Skip current ad, only after the skip offset
+     * @public
+     * @return {boolean} - Skipped
+     */
+    skip() {
+        if ( !this.isAd() || !this.context.states.is( 'adSkippable' ) ) return false;
+        this.#track( 'skip' );
+        this.context.dispatchEvent( 'video.ads.skip', { ad : this.#ads[ this.#index ] } );
+        this.#next();
+        return true;
+    }
+
+    /**
+     * Load and resolve break ads
+     * @private
+     * @param {VideoAdBreak} ad_break - Ad break
+     * @return {Promise<Array<VASTAd>>} - Playable ads
+     */
+    #load( ad_break ) {
+        const loader = this.context.config.get( 'ads.loader' );
+        const xml = typeof ad_break.vast === 'string' ? Promise.resolve( ad_break.vast ) : loadText( ad_break.url, loader );
+        return xml.then( ( str ) => { return this.#resolve( str, 0 ); } );
+    }
+
+    /**
+     * Parse VAST and resolve wrapper ads
+     * @private
+     * @param {string} xml - VAST xml
+     * @param {number} depth - Wrapper depth
+     * @return {Promise<Array<VASTAd>>} - Inline ads
+     */
+    #resolve( xml, depth ) {
+        const response = parseVAST( xml );
+
+        // No ads response, report to the error urls
+        if ( !response.ads.length ) this.#send( response.errors, 'error', null, 303 );
+        return Promise.all( response.ads.map( ( ad ) => {
+            if ( !ad.wrapper ) return [ ad ];
+            if ( depth >= this.context.config.get( 'ads.wrappers' ) ) {
+                this.#send( ad.errors, 'error', ad, 302 );
+                return [];
+            }
+
+            // Wrapper impressions and tracking apply to all wrapped ads
+            return loadText( ad.wrapper, this.context.config.get( 'ads.loader' ) ).then( ( str ) => {
+                return this.#resolve( str, depth + 1 );
+            } ).then( ( ads ) => {
+                return ads.map( ( inline ) => { return this.#merge( ad, inline ); } );
+            } ).catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::resolve Wrapper failed:', e );
+                this.#send( ad.errors, 'error', ad, 301 );
+                return [];
+            } );
+        } ) ).then( ( lists ) => { return [].concat( ...lists ); } );
+    }
+
+    /**
+     * Merge wrapper tracking into an inline ad
+     * @private
+     * @param {VASTAd} wrapper - Wrapper ad
+     * @param {VASTAd} ad - Inline ad
+     * @return {VASTAd} - Merged ad
+     */
+    #merge( wrapper, ad ) {
+        const tracking = Object.assign( {}, ad.tracking );
+        const events = Object.keys( wrapper.tracking );
+        for ( let i = 0; i < events.length; i++ ) {
+            tracking[ events[ i ] ] = ( tracking[ events[ i ] ] || [] ).concat( wrapper.tracking[ events[ i ] ] );
+        }
+        return Object.assign( {}, ad, {
+            impressions : ad.impressions.concat( wrapper.impressions ),
+            errors : ad.errors.concat( wrapper.errors ),
+            clickTracking : ad.clickTracking.concat( wrapper.clickTracking ),
+            tracking : tracking,
+        } );
+    }
+
+    /**
+     * Play next ad or end the break
+     * @private
+     * @return {void}
+     */
+    #next() {
+        this.#index++;
+        const ad = this.#ads[ this.#index ];
+        if ( !ad ) {
+            this.#end_break();
+            return;
+        }
+        this.#tracked = {};
+        this.#position = 0;
+        this.context.states.unset( 'adSkippable' );
+        this.#update_controls( ad );
+
+        // Select the best playable progressive media file
+        const media = this.#select_media( ad );
+        if ( !media ) {
+            this.#ad_error( 403 );
+            return;
+        }
+        this.context.setSource( { src : media.src, type : media.type }, 'ads' );
+        this.#send( ad.impressions, 'impression', ad );
+        this.context.dispatchEvent( 'video.ads.start', { ad : ad, index : this.#index, count : this.#ads.length } );
+        const result = this.context.video.play();
+        if ( result instanceof Promise ) {
+            result.catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::next Ad playback failed:', e );
+            } );
+        }
+    }
+
+    /**
+     * Select media file
+     * @private
+     * @param {VASTAd} ad - Ad
+     * @return {null|VASTMediaFile} - Media file
+     */
+    #select_media( ad ) {
+        let selected = null, best = '';
+        for ( let i = 0; i < ad.media.length; i++ ) {
+            const media = ad.media[ i ];
+            if ( media.delivery !== 'progressive' ) continue;
+            const support = this.context.canPlaySource( { src : media.src, type : media.type } );
+            if ( support === 'probably' && best !== 'probably' || support === 'maybe' && !best ) {
+                selected = media;
+                best = support;
+            }
+        }
+        return selected;
+    }
+
+    /**
+     * End break and restore content
+     * @private
+     * @param {boolean} restore - Restore content source and position
+     * @return {void}
+     */
+    #end_break( restore = true ) {
+        this.#break_id++;
+        const content = this.#content;
+        this.#ads = [];
+        this.#index = -1;
+        this.#content = null;
+        this.context.states.unset( 'adSkippable' );
+        this.#update_controls( null );
+        if ( restore && content && content.source ) {
+            const video = this.context.video;
+            this.context.setSource( content.source, 'ads' );
+            const id = this.#break_id;
+
+            /**
+             * Restore position once metadata is available, unless another source or break started
+             * @private
+             * @return {void}
+             */
+            const seek = () => {
+                if ( id !== this.#break_id ) return;
+                if ( content.time ) video.currentTime = content.time;
+                if ( !content.play ) return;
+                const result = video.play();
+                if ( result instanceof Promise ) {
+                    result.catch( ( e ) => {
+                        if ( this.debug ) this.debug.warn( this.constructor.name + '::end_break Content playback failed:', e );
+                    } );
+                }
+            };
+            if ( video.readyState >= 1 ) {
+                seek();
+            } else {
+                video.addEventListener( 'loadedmetadata', seek, { once : true, signal : this.context.signal } );
+            }
+        }
+
+        // Unset after restoring, plugins ignore the restore while the ad state is set
+        this.context.states.unset( 'ad' );
+        this.context.dispatchEvent( 'video.ads.break.end', { restored : restore && !!content?.source } );
+    }
+
+    /**
+     * Current ad failed
+     * @private
+     * @param {number} code - VAST error code
+     * @return {void}
+     */
+    #ad_error( code ) {
+        const ad = this.#ads[ this.#index ];
+        if ( !ad ) return;
+        this.#send( ad.errors, 'error', ad, code );
+        this.context.dispatchEvent( 'video.ads.error', { ad : ad, error : code } );
+        this.#next();
+    }
+
+    /**
+     * Update ad controls
+     * @private
+     * @param {null|VASTAd} ad - Current ad
+     * @return {void}
+     */
+    #update_controls( ad ) {
+        const display = this.context.config.get( 'ads.display' );
+        const skip = this.context.getDomRefs( 'ads.skip', false );
+        const link = this.context.getDomRefs( 'ads.link', false );
+        const label = this.context.getDomRefs( 'ads.label', false );
+        if ( skip ) this.context.constructor.hideControl( skip, display );
+        if ( link ) {
+            if ( ad && ad.clickThrough ) {
+                link.setAttribute( 'href', ad.clickThrough );
+                this.context.constructor.showControl( link, display );
+            } else {
+                link.removeAttribute( 'href' );
+                this.context.constructor.hideControl( link, display );
+            }
+        }
+        if ( label ) {
+            label.hidden = !ad;
+            label.innerText = ad ? this.context.getText( 'ads.label', { index : this.#index + 1, count : this.#ads.length } ) : '';
+        }
+    }
+
+    /**
+     * Click through
+     * @private
+     * @return {void}
+     */
+    #click() {
+        const ad = this.#ads[ this.#index ];
+        if ( !ad ) return;
+        this.#send( ad.clickTracking, 'clickTracking', ad );
+        this.context.dispatchEvent( 'video.ads.click', { ad } );
+    }
+
+    /**
+     * Get skip offset in seconds
+     * @private
+     * @param {VASTAd} ad - Ad
+     * @return {null|number} - Offset or null if not skippable
+     */
+    #skip_offset( ad ) {
+        if ( !ad.skipoffset ) return null;
+        const percent = ad.skipoffset.match( /^(\d+(?:\.\d+)?)%$/ );
+        if ( percent ) {
+            const duration = ad.duration || this.context.video.duration;
+            return Number.isFinite( duration ) ? duration * parseFloat( percent[ 1 ] ) / 100 : null;
+        }
+        return parseVASTTime( ad.skipoffset );
+    }
+
+    /**
+     * Source is selected from the current content sources list
+     * @private
+     * @param {null|string} setter - Source setter
+     * @return {boolean} - Rendition of the current content
+     */
+    #is_rendition( setter ) {
+        if ( !this.#sources || setter !== this.context.constructor.name + '::selectSource' ) return false;
+        return this.context.config.get( 'sources' ) === this.#sources;
+    }
+
+    /**
+     * Event video.source.set
+     * @private
+     * @param {Event} event - Source set event
+     * @return {void}
+     */
+    #event_source_set( event ) {
+        if ( event.detail.setter === 'ads' ) return;
+
+        // Quality, responsive or error fallback selected another rendition of the same content
+        const rendition = this.#is_rendition( event.detail.setter );
+        this.#source = event.detail.source;
+        if ( rendition ) return;
+
+        // New content source, breaks play again and a pending content restore is dropped
+        this.#sources = this.context.config.get( 'sources' );
+        this.#break_id++;
+        this.#breaks.forEach( ( entry ) => { entry[ 1 ] = false; } );
+        if ( this.isAd() ) this.#end_break( false );
+    }
+
+    /**
+     * Event play, starts the pre-roll
+     * @private
+     * @return {void}
+     */
+    #event_play() {
+        if ( this.isAd() ) {
+            if ( this.#tracked.start ) this.#track( 'resume', true );
+            return;
+        }
+        const entry = this.#breaks.find( ( item ) => { return !item[ 1 ] && item[ 0 ].offset === 'start'; } );
+        if ( !entry || !this.#source ) return;
+        entry[ 1 ] = true;
+        this.playBreak( entry[ 0 ] );
+    }
+
+    /**
+     * Event timeupdate, tracks ad progress and starts mid-rolls
+     * @private
+     * @return {void}
+     */
+    #event_timeupdate() {
+        const video = this.context.video;
+        if ( this.isAd() ) {
+            const ad = this.#ads[ this.#index ];
+            if ( !ad || video.seeking ) return;
+            this.#position = video.currentTime;
+            const duration = ad.duration || video.duration;
+            if ( Number.isFinite( duration ) && duration > 0 ) {
+                const progress = video.currentTime / duration;
+                if ( progress >= 0.25 ) this.#track( 'firstQuartile' );
+                if ( progress >= 0.5 ) this.#track( 'midpoint' );
+                if ( progress >= 0.75 ) this.#track( 'thirdQuartile' );
+            }
+
+            // Show skip button
+            const offset = this.#skip_offset( ad );
+            if ( offset !== null && video.currentTime >= offset && !this.context.states.is( 'adSkippable' ) ) {
+                this.context.states.set( 'adSkippable' );
+                const skip = this.context.getDomRefs( 'ads.skip', false );
+                if ( skip ) this.context.constructor.showControl( skip, this.context.config.get( 'ads.display' ) );
+                this.context.dispatchEvent( 'video.ads.skippable', { ad } );
+            }
+            return;
+        }
+
+        // Play only the last passed mid-roll, any skipped by seeking are dropped
+        if ( video.paused || !this.#source ) return;
+        let entry = null;
+        for ( let i = 0; i < this.#breaks.length; i++ ) {
+            const item = this.#breaks[ i ];
+            if ( item[ 1 ] || typeof item[ 0 ].offset !== 'number' || item[ 0 ].offset > video.currentTime ) continue;
+            if ( entry ) entry[ 1 ] = true;
+            entry = item;
+        }
+        if ( !entry ) return;
+        entry[ 1 ] = true;
+        this.playBreak( entry[ 0 ] );
+    }
+
+    /**
+     * Event seeking, seeking is locked during ads
+     * @private
+     * @return {void}
+     */
+    #event_seeking() {
+        if ( !this.isAd() || !this.#ads[ this.#index ] ) return;
+        const video = this.context.video;
+        if ( Math.abs( video.currentTime - this.#position ) > 0.5 ) {
+            if ( this.debug ) this.debug.log( this.constructor.name + '::event_seeking Seeking is locked during ads' );
+            video.currentTime = this.#position;
+        }
+    }
+
+    /**
+     * Event ended, continues the break or starts the post-roll
+     * @private
+     * @return {void}
+     */
+    #event_ended() {
+        if ( this.isAd() ) {
+            if ( !this.#ads[ this.#index ] ) return;
+            this.#track( 'complete' );
+            this.context.dispatchEvent( 'video.ads.complete', { ad : this.#ads[ this.#index ] } );
+            this.#next();
+            return;
+        }
+        const entry = this.#breaks.find( ( item ) => { return !item[ 1 ] && item[ 0 ].offset === 'end'; } );
+        if ( !entry || !this.#source ) return;
+        entry[ 1 ] = true;
+        this.playBreak( entry[ 0 ] );
+    }
+
+    /**
+     * Track ad event
+     * @private
+     * @param {string} name - Event name
+     * @param {boolean} repeat - Allow repeated tracking
+     * @return {void}
+     */
+    #track( name, repeat = false ) {
+        const ad = this.#ads[ this.#index ];
+        if ( !ad || !repeat && this.#tracked[ name ] ) return;
+        this.#tracked[ name ] = true;
+        if ( name === 'start' ) this.#send( ad.tracking.creativeView || [], 'creativeView', ad );
+        this.#send( ad.tracking[ name ] || [], name, ad );
+    }
+
+    /**
+     * Send tracking urls through the transport
+     * @private
+     * @param {Array<string>} urls - Tracking urls
+     * @param {string} name - Event name
+     * @param {null|VASTAd} ad - Ad
+     * @param {null|number} code - VAST error code
+     * @return {void}
+     */
+    #send( urls, name, ad, code = null ) {
+        if ( !urls.length ) return;
+        const transport = this.context.config.get( 'ads.transport' ) || pixelTransport;
+        const cachebusting = ( '' + Math.floor( Math.random() * 1e8 ) ).padStart( 8, '0' );
+        for ( let i = 0; i < urls.length; i++ ) {
+            const url = urls[ i ]
+                .replace( /\[CACHEBUSTING]/g, cachebusting )
+                .replace( /\[TIMESTAMP]/g, encodeURIComponent( new Date().toISOString() ) )
+                .replace( /\[ERRORCODE]/g, code === null ? '' : '' + code );
+            try {
+                transport( url, name, ad );
+            } catch ( e ) {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::send Transport failed:', e );
+            }
+        }
+        this.context.dispatchEvent( 'video.ads.track', { name, ad } );
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'announcer.play' : 'Playing',
+    'announcer.pause' : 'Paused',
+    'announcer.ended' : 'Ended',
+    'announcer.buffering' : 'Buffering',
+    'announcer.volume' : 'Volume :volume%',
+    'announcer.muted' : 'Muted',
+    'announcer.seek' : 'Position :time of :duration',
+    'announcer.fullscreen' : 'Full screen',
+    'announcer.fullscreenExit' : 'Exited full screen',
+    'announcer.pip' : 'Picture-in-picture',
+    'announcer.pipExit' : 'Exited picture-in-picture',
+};
+
+/**
+ * Ui video plugin screen reader announcer
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginAnnouncer extends UiPlugin {
+
+    /**
+     * Last announce timestamps by message key
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #last = {};
+
+    /**
+     * Throttled announce timeouts by message key
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #pending = {};
+
+    /**
+     * Component is in full screen mode
+     * @private
+     * @property
+     * @type {boolean}
+     */
+    #fullscreen = false;
+
+    /**
+     * Speak timeout
+     * @private
+     * @property
+     * @type {null|number}
+     */
+    #speak_timeout = null;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'announcer';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Announcer options
+            // @type {Object}
+            announcer : {
+
+                // Min ms between announcements of the same kind, the latest is announced after the delay
+                // @type {number}
+                throttle : 1000,
+
+                // Message keys not to announce, for example: [ 'volume', 'seek' ]
+                // @type {Array<string>}
+                disabled : [],
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Live region, created if not available
+                // @type {string}
+                announcer : '[data-video="announcer"]',
+            },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.buffering.start', () => { this.#notify( 'buffering' ); } ],
+            [ 'video.error.fatal', ( event ) => {
+                if ( this.#is_disabled( 'error' ) ) return;
+                this.announce( this.context.getText( 'error.' + event.detail.type ), 'error' );
+            } ],
+            [ 'video.pip.enter', () => { this.#notify( 'pip' ); } ],
+            [ 'video.pip.exit', () => { this.#notify( 'pipExit' ); } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Use or create live region
+        let region = this.context.getDomRefs( 'announcer', false );
+        if ( !region ) {
+            region = document.createElement( 'div' );
+            region.setAttribute( 'data-video', 'announcer' );
+            region.classList.add( 'ui-video__announcer' );
+            Object.assign( region.style, {
+                position : 'absolute',
+                width : '1px',
+                height : '1px',
+                overflow : 'hidden',
+                clip : 'rect(0 0 0 0)',
+                whiteSpace : 'nowrap',
+            } );
+            this.context.dom.appendChild( region );
+        }
+        region.setAttribute( 'aria-live', 'polite' );
+        region.setAttribute( 'aria-atomic', 'true' );
+
+        // Bind video events
+        const video = this.context.video;
+        const signal = this.context.signal;
+        video.addEventListener( 'play', () => { this.#notify( 'play' ); }, { signal } );
+        video.addEventListener( 'pause', () => { if ( !video.ended ) this.#notify( 'pause' ); }, { signal } );
+        video.addEventListener( 'ended', () => { this.#notify( 'ended' ); }, { signal } );
+        video.addEventListener( 'seeked', () => {
+            const time = this.#format( video.currentTime );
+            const duration = this.#format( video.duration );
+            this.#notify( 'seek', { time, duration } );
+        }, { signal } );
+        video.addEventListener( 'volumechange', () => {
+            if ( video.muted || video.volume === 0 ) {
+                this.#notify( 'muted' );
+            } else {
+                this.#notify( 'volume', { volume : Math.round( video.volume * 100 ) } );
+            }
+        }, { signal } );
+
+        // Full screen is entered on the component element
+        document.addEventListener( 'fullscreenchange', () => {
+            const active = document.fullscreenElement === this.context.dom;
+            if ( active === this.#fullscreen ) return;
+            this.#fullscreen = active;
+            this.#notify( active ? 'fullscreen' : 'fullscreenExit' );
+        }, { signal } );
+    }
+
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+        window.clearTimeout( this.#speak_timeout );
+        this.#speak_timeout = null;
+        const keys = Object.keys( this.#pending );
+        for ( let i = 0; i < keys.length; i++ ) window.clearTimeout( this.#pending[ keys[ i ] ] );
+        this.#pending = {};
+        this.#last = {};
+    }
+
+    /**
+     * Get message
+     * @public
+     * @param {string} key - Message key
+     * @param {Object} data - Placeholder data
+     * @return {null|string} - Message or null if disabled
+     */
+    getMessage( key, data = {} ) {
+        if ( this.#is_disabled( key ) ) return null;
+        const message = this.context.getText( 'announcer.' + key, data );
+        return message.length ? message : null;
+    }
+
+    /**
+     * Announce text, repeated announcements with the same key are throttled
+     * @public
+     * @param {string} text - Text to announce
+     * @param {null|string} key - Throttle key
+     * @return {void}
+     */
+    announce( text, key = null ) {
+        if ( key === null ) {
+            this.#speak( text );
+            return;
+        }
+
+        // Announce only the latest text after the throttle delay
+        const throttle = this.context.config.get( 'announcer.throttle' );
+        const elapsed = Date.now() - ( this.#last[ key ] || 0 );
+        window.clearTimeout( this.#pending[ key ] );
+        delete this.#pending[ key ];
+        if ( elapsed < throttle ) {
+            this.#pending[ key ] = window.setTimeout( () => {
+                delete this.#pending[ key ];
+                this.#last[ key ] = Date.now();
+                this.#speak( text );
+            }, throttle - elapsed );
+            return;
+        }
+        this.#last[ key ] = Date.now();
+        this.#speak( text );
+    }
+
+    /**
+     * Announce message by key
+     * @private
+     * @param {string} key - Message key
+     * @param {Object} data - Placeholder data
+     * @return {void}
+     */
+    #notify( key, data = {} ) {
+        const text = this.getMessage( key, data );
+        if ( text !== null ) this.announce( text, key );
+    }
+
+    /**
+     * Check if message key is disabled
+     * @private
+     * @param {string} key - Message key
+     * @return {boolean} - Disabled state
+     */
+    #is_disabled( key ) {
+        const disabled = this.context.config.get( 'announcer.disabled' );
+        return disabled instanceof Array && disabled.includes( key );
+    }
+
+    /**
+     * Format time with the time plugin if available
+     * @private
+     * @param {number} seconds - Time in seconds
+     * @return {string} - Formatted time
+     */
+    #format( seconds ) {
+        const time_plugin = this.context.plugins?.get( 'time' );
+        if ( time_plugin ) return time_plugin.format( seconds );
+        return Number.isFinite( seconds ) ? '' + Math.floor( seconds ) : '';
+    }
+
+    /**
+     * Update live region, cleared first so repeated texts are announced again
+     * @private
+     * @param {string} text - Text to announce
+     * @return {void}
+     */
+    #speak( text ) {
+        const region = this.context.getDomRefs( 'announcer', false );
+        if ( !region ) return;
+        window.clearTimeout( this.#speak_timeout );
+        region.textContent = '';
+        this.#speak_timeout = window.setTimeout( () => {
+            this.#speak_timeout = null;
+            region.textContent = text;
+            this.context.dispatchEvent( 'video.announcer.speak', { text } );
+        }, 50 );
+    }
+}
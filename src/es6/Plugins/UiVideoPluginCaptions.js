@@ -0,0 +1,482 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin captions exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginCaptionsException extends Exception {}
+
+/**
+ * @typedef {Object} VideoTrack - Text track definition
+ * @property {string} src - Track url
+ * @property {string} kind - Track kind, default: subtitles
+ * @property {string} srclang - Track language
+ * @property {string} label - Track label, used in the language selector
+ * @property {boolean} default - Default track if no language was chosen
+ */
+
+/**
+ * @typedef {Object} VideoSourceCaptions - Extends the normal VideoSource
+ * @extends VideoSource
+ * @property {Array<VideoTrack>} tracks - Text tracks
+ */
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'captions.on' : 'Show captions',
+    'captions.off' : 'Hide captions',
+    'captions.language' : 'Captions language',
+};
+
+/**
+ * Ui video plugin captions
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginCaptions extends UiPlugin {
+
+    /**
+     * Current track elements
+     * @private
+     * @property
+     * @type {Array<HTMLTrackElement>}
+     */
+    #tracks = [];
+
+    /**
+     * Active text track
+     * @private
+     * @property
+     * @type {null|TextTrack}
+     */
+    #active = null;
+
+    /**
+     * Active track cue change handler
+     * @private
+     * @property
+     * @type {null|Function}
+     */
+    #cuechange = null;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'captions';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Captions options
+            // @type {Object}
+            captions : {
+
+                // Show captions initially
+                // @type {boolean}
+                enabled : false,
+
+                // Chosen language, remembered across source switches
+                // @type {null|string}
+                language : null,
+
+                // Track kinds to render
+                // @type {Array<string>}
+                kinds : [ 'subtitles', 'captions' ],
+
+                // Render cues as html, set false to render plain text
+                // @type {boolean}
+                html : true,
+
+                // Handle controls display with js
+                // @type {boolean}
+                display : false,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Captions references
+                // @type {object}
+                captions : {
+
+                    // Captions control wrapper
+                    // @type {string}
+                    control : '.ui-video__control--captions',
+
+                    // Show captions button
+                    // @type {string}
+                    on : '[data-video="ctrl:captions"]',
+
+                    // Hide captions button
+                    // @type {string}
+                    off : '[data-video="ctrl:captions-off"]',
+
+                    // Language select
+                    // @type {string}
+                    language : '[data-video="ctrl:language"]',
+
+                    // Cue overlay
+                    // @type {string}
+                    overlay : '[data-video="captions"]',
+                },
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            captions : { global : false, classOn : 'ui-video--captions' },
+            captionsAvailable : { global : false, classOn : 'ui-video--captions-available' },
+        };
+
+        /**
+         * Render cues on active track cue change
+         * @private
+         * @return {void}
+         */
+        this.#cuechange = () => { this.#render(); };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.set', ( event ) => { this.#event_source_set( event ); } ],
+            [ 'video.source.unset', () => { this.#clear(); } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Get references
+        const control = this.context.getDomRefs( 'captions.control', false );
+        const on = this.context.getDomRefs( 'captions.on', false );
+        const off = this.context.getDomRefs( 'captions.off', false );
+        const language = this.context.getDomRefs( 'captions.language', false );
+        const overlay = this.context.getDomRefs( 'captions.overlay', false );
+
+        // Control is shown once a track is active
+        if ( control ) this.context.constructor.hideControl( control, true );
+
+        // Overlay is required for rendering, tracks are not activated without it
+        if ( !overlay ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::initComponent No captions overlay available' );
+            return;
+        }
+        overlay.setAttribute( 'aria-live', 'off' );
+
+        // Set initial state
+        if ( this.context.config.get( 'captions.enabled' ) ) this.context.states.set( 'captions' );
+
+        // No controls, captions are controlled via api only
+        if ( !control ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::initComponent No captions control available' );
+            return;
+        }
+
+        // Bind show/hide toggle
+        if ( on && off ) {
+            this.#bind_toggle( on, off );
+        } else if ( this.debug ) {
+            this.debug.warn( this.constructor.name + '::initComponent No captions on/off control available' );
+        }
+
+        // Bind language select
+        if ( language instanceof HTMLSelectElement ) {
+            this.context.setLabel( language, 'captions.language' );
+            language.addEventListener( 'change', () => {
+                this.setLanguage( language.value );
+            }, { signal : this.context.signal } );
+        } else if ( this.debug ) {
+            this.debug.warn( this.constructor.name + '::initComponent No captions language select available' );
+        }
+    }
+
+    /**
+     * Captions visible
+     * @public
+     * @return {boolean} - Captions state
+     */
+    isShowing() {
+        return this.context.states.is( 'captions' );
+    }
+
+    /**
+     * Show captions
+     * @public
+     * @return {void}
+     */
+    show() {
+        this.context.config.set( 'captions.enabled', true );
+        this.context.states.set( 'captions' );
+        this.#match_toggle();
+        this.#render();
+        this.context.dispatchEvent( 'video.captions.show', { track : this.#active } );
+    }
+
+    /**
+     * Hide captions
+     * @public
+     * @return {void}
+     */
+    hide() {
+        this.context.config.set( 'captions.enabled', false );
+        this.context.states.unset( 'captions' );
+        this.#match_toggle();
+        this.#render();
+        this.context.dispatchEvent( 'video.captions.hide', { track : this.#active } );
+    }
+
+    /**
+     * Get available languages
+     * @public
+     * @return {Array<Object>} - Language and label objects
+     */
+    getLanguages() {
+        const result = [];
+        const kinds = this.context.config.get( 'captions.kinds' );
+        for ( let i = 0; i < this.#tracks.length; i++ ) {
+            if ( !kinds.includes( this.#tracks[ i ].kind ) ) continue;
+            result.push( { language : this.#tracks[ i ].srclang, label : this.#tracks[ i ].label || this.#tracks[ i ].srclang } );
+        }
+        return result;
+    }
+
+    /**
+     * Get current language
+     * @public
+     * @return {null|string} - Language
+     */
+    getLanguage() {
+        return this.#active ? this.#active.language : null;
+    }
+
+    /**
+     * Set language
+     * @public
+     * @param {string} language - Track language
+     * @return {void}
+     */
+    setLanguage( language ) {
+        if ( typeof language !== 'string' || !language.length ) {
+            throw new UiVideoPluginCaptionsException( 'Argument language must be a non empty string' );
+        }
+
+        // Remember choice for following sources
+        this.context.config.set( 'captions.language', language );
+        this.#activate();
+    }
+
+    /**
+     * Event video.source.set
+     * @private
+     * @param {Event} event - Source set event
+     * @return {void}
+     */
+    #event_source_set( event ) {
+        this.#clear();
+        const tracks = event.detail.source.tracks;
+        if ( !( tracks instanceof Array ) || !tracks.length ) return;
+        if ( !this.context.getDomRefs( 'captions.overlay', false ) ) return;
+
+        // Attach tracks after the component replaced the video content
+        for ( let i = 0; i < tracks.length; i++ ) {
+            if ( typeof tracks[ i ].src !== 'string' || !tracks[ i ].src.length ) {
+                throw new UiVideoPluginCaptionsException( 'Track src must be a non empty string' );
+            }
+            const track = document.createElement( 'track' );
+            track.kind = tracks[ i ].kind || 'subtitles';
+            track.src = tracks[ i ].src;
+            if ( tracks[ i ].srclang ) track.srclang = tracks[ i ].srclang;
+            if ( tracks[ i ].label ) track.label = tracks[ i ].label;
+            if ( tracks[ i ].default ) track.default = true;
+            this.context.video.appendChild( track );
+            this.#tracks.push( track );
+        }
+        this.#build_select();
+        this.#activate();
+    }
+
+    /**
+     * Remove tracks and rendered cues
+     * @private
+     * @return {void}
+     */
+    #clear() {
+        if ( this.#active ) this.#active.removeEventListener( 'cuechange', this.#cuechange );
+        this.#active = null;
+        for ( let i = 0; i < this.#tracks.length; i++ ) {
+            if ( this.#tracks[ i ].parentElement ) this.#tracks[ i ].parentElement.removeChild( this.#tracks[ i ] );
+        }
+        this.#tracks = [];
+        this.context.states.unset( 'captionsAvailable' );
+        const control = this.context.getDomRefs( 'captions.control', false );
+        if ( control ) this.context.constructor.hideControl( control, true );
+        const overlay = this.context.getDomRefs( 'captions.overlay', false );
+        if ( overlay ) overlay.innerHTML = '';
+    }
+
+    /**
+     * Build language select options
+     * @private
+     * @return {void}
+     */
+    #build_select() {
+        const language = this.context.getDomRefs( 'captions.language', false );
+        if ( !( language instanceof HTMLSelectElement ) ) return;
+        language.innerHTML = '';
+        const languages = this.getLanguages();
+        for ( let i = 0; i < languages.length; i++ ) {
+            const option = document.createElement( 'option' );
+            option.value = languages[ i ].language;
+            option.innerText = languages[ i ].label;
+            language.appendChild( option );
+        }
+    }
+
+    /**
+     * Activate the chosen, default or first track
+     * @private
+     * @return {void}
+     */
+    #activate() {
+        const kinds = this.context.config.get( 'captions.kinds' );
+        const chosen = this.context.config.get( 'captions.language' );
+        let element = null, fallback = null;
+        for ( let i = 0; i < this.#tracks.length; i++ ) {
+            if ( !kinds.includes( this.#tracks[ i ].kind ) ) continue;
+            if ( chosen && this.#tracks[ i ].srclang === chosen ) element = this.#tracks[ i ];
+            if ( !fallback || this.#tracks[ i ].default && !fallback.default ) fallback = this.#tracks[ i ];
+        }
+        element = element || fallback;
+
+        // Disable native rendering, the active track is kept hidden to receive cues
+        for ( let i = 0; i < this.#tracks.length; i++ ) {
+            if ( !kinds.includes( this.#tracks[ i ].kind ) ) continue;
+            this.#tracks[ i ].track.mode = this.#tracks[ i ] === element ? 'hidden' : 'disabled';
+        }
+        if ( this.#active ) this.#active.removeEventListener( 'cuechange', this.#cuechange );
+        this.#active = element ? element.track : null;
+
+        // Update availability and controls
+        const control = this.context.getDomRefs( 'captions.control', false );
+        const language = this.context.getDomRefs( 'captions.language', false );
+        if ( this.#active ) {
+            this.context.states.set( 'captionsAvailable' );
+            if ( control ) this.context.constructor.showControl( control, true );
+            if ( language instanceof HTMLSelectElement ) language.value = element.srclang;
+            this.#active.addEventListener( 'cuechange', this.#cuechange, { signal : this.context.signal } );
+            this.#match_toggle();
+        }
+        this.#render();
+        this.context.dispatchEvent( 'video.captions.language', { language : this.getLanguage(), track : this.#active } );
+    }
+
+    /**
+     * Render active cues into the overlay
+     * @private
+     * @return {void}
+     */
+    #render() {
+        const overlay = this.context.getDomRefs( 'captions.overlay', false );
+        if ( !overlay ) return;
+        overlay.innerHTML = '';
+        if ( !this.#active || !this.isShowing() || !this.#active.activeCues ) return;
+        const cues = [ ...this.#active.activeCues ];
+        const html = this.context.config.get( 'captions.html' );
+        for ( let i = 0; i < cues.length; i++ ) {
+            const line = document.createElement( 'span' );
+            line.classList.add( 'ui-video__cue' );
+            if ( html && typeof cues[ i ].getCueAsHTML === 'function' ) {
+                line.appendChild( cues[ i ].getCueAsHTML() );
+            } else {
+                line.innerText = cues[ i ].text;
+            }
+            overlay.appendChild( line );
+        }
+        const track = this.#active;
+        this.context.dispatchEvent( 'video.captions.cue', { cues, track } );
+    }
+
+    /**
+     * Match toggle buttons to current state
+     * @private
+     * @return {void}
+     */
+    #match_toggle() {
+        const on = this.context.getDomRefs( 'captions.on', false );
+        const off = this.context.getDomRefs( 'captions.off', false );
+        if ( !on || !off ) return;
+        const display = this.context.config.get( 'captions.display' );
+        const showing = this.isShowing();
+        this.context.constructor[ ( showing ? 'hide' : 'show' ) + 'Control' ]( on, display );
+        this.context.constructor[ ( showing ? 'show' : 'hide' ) + 'Control' ]( off, display );
+    }
+
+    /**
+     * Bind captions toggle
+     * @private
+     * @param {HTMLButtonElement} on - Show captions button
+     * @param {HTMLButtonElement} off - Hide captions button
+     * @return {void}
+     */
+    #bind_toggle( on, off ) {
+        this.context.setLabel( on, 'captions.on' );
+        this.context.setLabel( off, 'captions.off' );
+        on.addEventListener( 'click', ( event ) => {
+            event.preventDefault();
+            this.show();
+            on.blur();
+            if ( this.context.config.get( 'controls.refocus' ) ) off.focus();
+        }, { signal : this.context.signal } );
+        off.addEventListener( 'click', ( event ) => {
+            event.preventDefault();
+            this.hide();
+            off.blur();
+            if ( this.context.config.get( 'controls.refocus' ) ) on.focus();
+        }, { signal : this.context.signal } );
+
+        // Initial state
+        this.#match_toggle();
+    }
+}
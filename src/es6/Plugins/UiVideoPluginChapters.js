@@ -0,0 +1,466 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception } from '@squirrel-forge/ui-util';
+import { loadText } from '../Utils/loadText.js';
+import { parseWebVTT } from '../Utils/parseWebVTT.js';
+
+/**
+ * Ui video plugin chapters exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginChaptersException extends Exception {}
+
+/**
+ * @typedef {Object} VideoChapter - Chapter definition
+ * @property {number} start - Start time in seconds
+ * @property {null|number} end - End time in seconds, defaults to the next chapter start or the duration
+ * @property {string} title - Chapter title
+ */
+
+/**
+ * @typedef {Object} VideoSourceChapters - Extends the normal VideoSource
+ * @extends VideoSource
+ * @property {string|Array<VideoChapter>} chapters - WebVTT chapters url or chapters array
+ */
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'chapters.next' : 'Next chapter',
+    'chapters.prev' : 'Previous chapter',
+};
+
+/**
+ * Ui video plugin chapters
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginChapters extends UiPlugin {
+
+    /**
+     * Current chapters
+     * @private
+     * @property
+     * @type {Array<VideoChapter>}
+     */
+    #chapters = [];
+
+    /**
+     * Current chapter index
+     * @private
+     * @property
+     * @type {null|number}
+     */
+    #current = null;
+
+    /**
+     * Load counter to discard outdated requests
+     * @private
+     * @property
+     * @type {number}
+     */
+    #loading = 0;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'chapters';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Chapters options
+            // @type {Object}
+            chapters : {
+
+                // Source chapters property
+                // @type {string}
+                propertyName : 'chapters',
+
+                // Previous chapter restarts the current chapter if played longer than given seconds
+                // @type {number}
+                restart : 3,
+
+                // Render chapter markers into the progress control
+                // @type {boolean}
+                markers : true,
+
+                // Chapters file loader, receives the url and returns the text or a Promise resolving it, see loadText
+                // @type {null|Function}
+                loader : null,
+
+                // Handle controls display with js
+                // @type {boolean}
+                display : false,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Chapters references
+                // @type {object}
+                chapters : {
+
+                    // Next chapter button
+                    // @type {string}
+                    next : '[data-video="ctrl:chapter-next"]',
+
+                    // Previous chapter button
+                    // @type {string}
+                    prev : '[data-video="ctrl:chapter-prev"]',
+
+                    // Current chapter title label
+                    // @type {string}
+                    label : '[data-video="label:chapter"]',
+                },
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            chapters : { global : false, classOn : 'ui-video--chapters' },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.set', ( event ) => { this.#event_source_set( event ); } ],
+            [ 'video.source.unset', () => { this.setChapters( [] ); } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Bind video events
+        this.context.video.addEventListener( 'timeupdate', () => { this.#update_current(); }, { signal : this.context.signal } );
+        this.context.video.addEventListener( 'durationchange', () => { this.#render_markers(); }, { signal : this.context.signal } );
+
+        // Bind controls
+        const next = this.context.getDomRefs( 'chapters.next', false );
+        const prev = this.context.getDomRefs( 'chapters.prev', false );
+        if ( next ) {
+            this.context.setLabel( next, 'chapters.next' );
+            next.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                this.next();
+            }, { signal : this.context.signal } );
+        }
+        if ( prev ) {
+            this.context.setLabel( prev, 'chapters.prev' );
+            prev.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                this.previous();
+            }, { signal : this.context.signal } );
+        }
+        this.#update_controls();
+    }
+
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+
+        // Ignore pending chapter files
+        this.#loading++;
+    }
+
+    /**
+     * Get chapters
+     * @public
+     * @return {Array<VideoChapter>} - Chapters with resolved end times
+     */
+    getChapters() {
+        return this.#chapters;
+    }
+
+    /**
+     * Get current chapter
+     * @public
+     * @return {null|VideoChapter} - Current chapter
+     */
+    getCurrentChapter() {
+        return this.#current !== null ? this.#chapters[ this.#current ] : null;
+    }
+
+    /**
+     * Get current chapter index
+     * @public
+     * @return {null|number} - Current chapter index
+     */
+    getCurrentIndex() {
+        return this.#current;
+    }
+
+    /**
+     * Set chapters
+     * @public
+     * @param {Array<VideoChapter>} chapters - Chapters
+     * @return {void}
+     */
+    setChapters( chapters ) {
+        if ( !( chapters instanceof Array ) ) {
+            throw new UiVideoPluginChaptersException( 'Argument chapters must be an Array' );
+        }
+
+        // Validate and sort by start time
+        const result = [];
+        for ( let i = 0; i < chapters.length; i++ ) {
+            const { start, end, title } = chapters[ i ];
+            if ( typeof start !== 'number' || Number.isNaN( start ) || start < 0 ) {
+                throw new UiVideoPluginChaptersException( 'Chapter start must be a positive number' );
+            }
+            result.push( { start : start, end : typeof end === 'number' ? end : null, title : title || '' } );
+        }
+        result.sort( ( a, b ) => { return a.start - b.start; } );
+        this.#chapters = result;
+        this.#current = null;
+        const label = this.context.getDomRefs( 'chapters.label', false );
+        if ( label ) label.innerText = '';
+
+        // Update states, markers and controls
+        this.context.states[ result.length ? 'set' : 'unset' ]( 'chapters' );
+        this.#render_markers();
+        this.#update_current();
+        this.#update_controls();
+        this.context.dispatchEvent( 'video.chapters.set', { chapters : this.#chapters } );
+    }
+
+    /**
+     * Go to chapter by index
+     * @public
+     * @param {number} index - Chapter index
+     * @return {void}
+     */
+    goto( index ) {
+        const chapter = this.#chapters[ index ];
+        if ( !chapter ) throw new UiVideoPluginChaptersException( 'Chapter index #' + index + ' not found' );
+        this.context.video.currentTime = chapter.start;
+    }
+
+    /**
+     * Go to next chapter
+     * @public
+     * @return {boolean} - True if there was a next chapter
+     */
+    next() {
+
+        // First chapter after the current time, also between chapters with an explicit end
+        const time = this.context.video.currentTime;
+        const index = this.#chapters.findIndex( ( chapter ) => { return chapter.start > time; } );
+        if ( index === -1 ) return false;
+        this.goto( index );
+        return true;
+    }
+
+    /**
+     * Go to previous chapter, or the current chapter start if played longer than the restart option
+     * @public
+     * @return {boolean} - True if the position was changed
+     */
+    previous() {
+        if ( this.#current === null ) return false;
+        const played = this.context.video.currentTime - this.#chapters[ this.#current ].start;
+        if ( played > this.context.config.get( 'chapters.restart' ) || this.#current === 0 ) {
+            this.goto( this.#current );
+        } else {
+            this.goto( this.#current - 1 );
+        }
+        return true;
+    }
+
+    /**
+     * Find chapter index for time
+     * @public
+     * @param {number} time - Time in seconds
+     * @return {null|number} - Chapter index
+     */
+    findChapterIndex( time ) {
+        for ( let i = this.#chapters.length - 1; i >= 0; i-- ) {
+            const end = this.#get_end( i );
+            if ( time >= this.#chapters[ i ].start && ( end === null || time < end ) ) return i;
+        }
+        return null;
+    }
+
+    /**
+     * Get chapter end time
+     * @private
+     * @param {number} index - Chapter index
+     * @return {null|number} - End time
+     */
+    #get_end( index ) {
+        const chapter = this.#chapters[ index ];
+        if ( chapter.end !== null ) return chapter.end;
+        if ( this.#chapters[ index + 1 ] ) return this.#chapters[ index + 1 ].start;
+        const duration = this.context.video.duration;
+        return Number.isFinite( duration ) ? duration : null;
+    }
+
+    /**
+     * Event video.source.set
+     * @private
+     * @param {Event} event - Source set event
+     * @return {void}
+     */
+    #event_source_set( event ) {
+        const chapters = event.detail.source[ this.context.config.get( 'chapters.propertyName' ) ];
+        const token = ++this.#loading;
+
+        // Clear previous chapters
+        this.setChapters( [] );
+        if ( !chapters ) return;
+
+        // Inline chapters
+        if ( chapters instanceof Array ) {
+            this.setChapters( chapters );
+            return;
+        }
+
+        // Load WebVTT chapters file
+        if ( typeof chapters !== 'string' || !chapters.length ) {
+            throw new UiVideoPluginChaptersException( 'Source chapters must be an Array or a WebVTT url' );
+        }
+        loadText( chapters, this.context.config.get( 'chapters.loader' ) ).then( ( text ) => {
+            if ( token !== this.#loading ) return;
+            const cues = parseWebVTT( text );
+            const result = [];
+            for ( let i = 0; i < cues.length; i++ ) {
+                result.push( { start : cues[ i ].start, end : cues[ i ].end, title : cues[ i ].text } );
+            }
+            this.setChapters( result );
+        } ).catch( ( e ) => {
+            window.console.error( this.constructor.name + '::load Failed:', e );
+            this.context.dispatchEvent( 'video.chapters.error', { url : chapters, error : e } );
+        } );
+    }
+
+    /**
+     * Update current chapter and dispatch change
+     * @private
+     * @return {void}
+     */
+    #update_current() {
+        const index = this.findChapterIndex( this.context.video.currentTime );
+        if ( index === this.#current ) return;
+        const previous = this.#current;
+        this.#current = index;
+
+        // Update label and controls
+        const label = this.context.getDomRefs( 'chapters.label', false );
+        const chapter = this.getCurrentChapter();
+        if ( label ) label.innerText = chapter ? chapter.title : '';
+        this.#update_controls();
+
+        // Mark active marker
+        const markers = this.#get_markers();
+        if ( markers ) {
+            for ( let i = 0; i < markers.children.length; i++ ) {
+                markers.children[ i ].classList[ i === index ? 'add' : 'remove' ]( 'ui-video__chapter--active' );
+            }
+        }
+
+        // Allow for any actions after the chapter boundary was crossed
+        this.context.dispatchEvent( 'video.chapter.change', { chapter, index, previous } );
+    }
+
+    /**
+     * Get markers container
+     * @private
+     * @return {null|HTMLElement} - Markers container
+     */
+    #get_markers() {
+        const control = this.context.getDomRefs( 'progress.control', false );
+        return control ? control.querySelector( '.ui-video__chapters' ) : null;
+    }
+
+    /**
+     * Render chapter markers into the progress control
+     * @private
+     * @return {void}
+     */
+    #render_markers() {
+        const control = this.context.getDomRefs( 'progress.control', false );
+        if ( !control || !this.context.config.get( 'chapters.markers' ) ) return;
+
+        // Remove previous markers
+        let markers = this.#get_markers();
+        if ( markers ) control.removeChild( markers );
+
+        // Requires chapters and a known duration
+        const duration = this.context.video.duration;
+        if ( !this.#chapters.length || !Number.isFinite( duration ) || !duration ) return;
+
+        // Create segments
+        markers = document.createElement( 'div' );
+        markers.classList.add( 'ui-video__chapters' );
+        markers.setAttribute( 'aria-hidden', 'true' );
+        for ( let i = 0; i < this.#chapters.length; i++ ) {
+            const start = this.#chapters[ i ].start;
+            const end = this.#get_end( i );
+            const marker = document.createElement( 'span' );
+            marker.classList.add( 'ui-video__chapter' );
+            if ( i === this.#current ) marker.classList.add( 'ui-video__chapter--active' );
+            marker.setAttribute( 'title', this.#chapters[ i ].title );
+            marker.style.left = start / duration * 100 + '%';
+            marker.style.width = ( end - start ) / duration * 100 + '%';
+            markers.appendChild( marker );
+        }
+        control.appendChild( markers );
+    }
+
+    /**
+     * Update next/previous control visibility
+     * @private
+     * @return {void}
+     */
+    #update_controls() {
+        const display = this.context.config.get( 'chapters.display' );
+        const next = this.context.getDomRefs( 'chapters.next', false );
+        const prev = this.context.getDomRefs( 'chapters.prev', false );
+        const has_next = this.#chapters.length && ( this.#current === null ? 0 : this.#current + 1 ) < this.#chapters.length;
+        if ( next ) this.context.constructor[ ( has_next ? 'show' : 'hide' ) + 'Control' ]( next, display );
+        if ( prev ) this.context.constructor[ ( this.#current !== null ? 'show' : 'hide' ) + 'Control' ]( prev, display );
+    }
+}
@@ -11,6 +11,15 @@ import { Exception } from '@squirrel-forge/ui-util';
  */
 class UiVideoPluginFullscreenException extends Exception {}
 
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'fullscreen.on' : 'Full screen',
+    'fullscreen.off' : 'Exit full screen',
+};
+
 /**
  * Ui video plugin fullscreen controls
  * @class
@@ -28,6 +37,16 @@ export class UiVideoPluginFullscreen extends UiPlugin {
         return 'fullscreen';
     }
 
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
     /**
      * Constructor
      * @constructor
@@ -92,6 +111,9 @@ export class UiVideoPluginFullscreen extends UiPlugin {
     initComponent( context ) {
         super.initComponent( context );
 
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
         // Get references
         const controls = this.context.getDomRefs( 'controls', false );
         const control = this.context.getDomRefs( 'fullscreen.control', false );
@@ -123,10 +145,11 @@ export class UiVideoPluginFullscreen extends UiPlugin {
                 }
             }
         };
-        document.addEventListener('fullscreenchange', exit_handler, false);
-        document.addEventListener('mozfullscreenchange', exit_handler, false);
-        document.addEventListener('MSFullscreenChange', exit_handler, false);
-        document.addEventListener('webkitfullscreenchange', exit_handler, false);
+        const signal = this.context.signal;
+        document.addEventListener( 'fullscreenchange', exit_handler, { signal } );
+        document.addEventListener( 'mozfullscreenchange', exit_handler, { signal } );
+        document.addEventListener( 'MSFullscreenChange', exit_handler, { signal } );
+        document.addEventListener( 'webkitfullscreenchange', exit_handler, { signal } );
 
         // Bind double click toggle
         this.#bind_dblclick( fullscreen, minimize );
@@ -140,6 +163,17 @@ export class UiVideoPluginFullscreen extends UiPlugin {
         }
     }
 
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+
+        // Leave full screen mode
+        if ( this.isFullscreen() ) this.exitFullscreen();
+    }
+
     /**
      * Is in full screen mode
      * @public
@@ -321,16 +355,18 @@ export class UiVideoPluginFullscreen extends UiPlugin {
      * @return {void}
      */
     #bind_toggle( fullscreen, minimize ) {
+        this.context.setLabel( fullscreen, 'fullscreen.on' );
+        this.context.setLabel( minimize, 'fullscreen.off' );
         fullscreen.addEventListener( 'click', ( event ) => {
             if ( !this.context.config.get( 'fullscreen.enabled' ) ) return;
             event.preventDefault();
             this.#request_fullscreen( fullscreen, minimize, true );
-        } );
+        }, { signal : this.context.signal } );
         minimize.addEventListener( 'click', ( event ) => {
             if ( !this.context.config.get( 'fullscreen.enabled' ) ) return;
             event.preventDefault();
             this.#exit_fullscreen( fullscreen, minimize, true );
-        } );
+        }, { signal : this.context.signal } );
 
         // Initial state
         const display = this.context.config.get( 'fullscreen.display' );
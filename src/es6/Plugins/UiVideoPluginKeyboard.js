@@ -0,0 +1,323 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin keyboard exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginKeyboardException extends Exception {}
+
+/**
+ * Ui video plugin keyboard shortcuts
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginKeyboard extends UiPlugin {
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'keyboard';
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Keyboard options
+            // @type {Object}
+            keyboard : {
+
+                // Keyboard shortcuts enabled
+                // @type {boolean}
+                enabled : true,
+
+                // Seek step in seconds
+                // @type {number}
+                seek : 5,
+
+                // Volume step in percent
+                // @type {number}
+                volume : 10,
+
+                // Ignore keys from elements matching the selector
+                // @type {string}
+                ignore : 'input, select, textarea, [contenteditable]',
+
+                // Action key map, values are compared to event.key, single characters case insensitive
+                // @type {Object}
+                keys : {
+
+                    // Toggle play/pause
+                    // @type {Array<string>}
+                    playpause : [ ' ', 'k' ],
+
+                    // Seek backward
+                    // @type {Array<string>}
+                    backward : [ 'ArrowLeft' ],
+
+                    // Seek forward
+                    // @type {Array<string>}
+                    forward : [ 'ArrowRight' ],
+
+                    // Increase volume
+                    // @type {Array<string>}
+                    volumeup : [ 'ArrowUp' ],
+
+                    // Decrease volume
+                    // @type {Array<string>}
+                    volumedown : [ 'ArrowDown' ],
+
+                    // Toggle mute
+                    // @type {Array<string>}
+                    mute : [ 'm' ],
+
+                    // Toggle fullscreen
+                    // @type {Array<string>}
+                    fullscreen : [ 'f' ],
+
+                    // Jump to percentage, key index times ten
+                    // @type {Array<string>}
+                    percent : [ '0', '1', '2', '3', '4', '5', '6', '7', '8', '9' ],
+
+                    // Jump to start
+                    // @type {Array<string>}
+                    start : [ 'Home' ],
+
+                    // Jump to end
+                    // @type {Array<string>}
+                    end : [ 'End' ],
+                },
+            },
+        };
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Validate options
+        const seek = this.context.config.get( 'keyboard.seek' );
+        const volume = this.context.config.get( 'keyboard.volume' );
+        if ( typeof seek !== 'number' || seek <= 0 || typeof volume !== 'number' || volume <= 0 ) {
+            throw new UiVideoPluginKeyboardException( 'Options keyboard.seek and keyboard.volume must be positive numbers' );
+        }
+
+        /**
+         * Keydown handler, only fires while focus is inside the component
+         * @private
+         * @param {KeyboardEvent} event - Keydown event
+         * @return {void}
+         */
+        this.context.dom.addEventListener( 'keydown', ( event ) => { this.#event_keydown( event ); }, { signal : this.context.signal } );
+    }
+
+    /**
+     * Enable keyboard shortcuts
+     * @public
+     * @return {void}
+     */
+    enableKeyboard() {
+        this.context.config.set( 'keyboard.enabled', true );
+    }
+
+    /**
+     * Disable keyboard shortcuts
+     * @public
+     * @return {void}
+     */
+    disableKeyboard() {
+        this.context.config.set( 'keyboard.enabled', false );
+    }
+
+    /**
+     * Get action name for key
+     * @public
+     * @param {string} key - Key value
+     * @return {null|Array<string|number>} - Action name and key index
+     */
+    getAction( key ) {
+        const keys = this.context.config.get( 'keyboard.keys' );
+        const normalized = key.length === 1 ? key.toLowerCase() : key;
+        const actions = Object.keys( keys );
+        for ( let i = 0; i < actions.length; i++ ) {
+            const list = keys[ actions[ i ] ];
+            if ( !( list instanceof Array ) ) continue;
+            for ( let j = 0; j < list.length; j++ ) {
+                const compare = list[ j ].length === 1 ? list[ j ].toLowerCase() : list[ j ];
+                if ( compare === normalized ) return [ actions[ i ], j ];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Event keydown
+     * @private
+     * @param {KeyboardEvent} event - Keydown event
+     * @return {void}
+     */
+    #event_keydown( event ) {
+        if ( !this.context.config.get( 'keyboard.enabled' ) ) return;
+
+        // Leave modifier combinations to the browser
+        if ( event.ctrlKey || event.altKey || event.metaKey ) return;
+
+        // Ignore keys typed in form fields
+        const ignore = this.context.config.get( 'keyboard.ignore' );
+        if ( ignore && event.target instanceof Element && event.target.closest( ignore ) ) return;
+
+        // Find action
+        const found = this.getAction( event.key );
+        if ( !found ) return;
+        const [ action, index ] = found;
+
+        // Let buttons handle their own activation
+        if ( action === 'playpause' && event.key === ' ' && event.target instanceof HTMLButtonElement ) return;
+
+        // Requires a playable video
+        if ( !this.context.states.is( 'playable' ) ) return;
+
+        // Allow for actions or prevent the default action
+        event.preventDefault();
+        if ( !this.context.dispatchEvent( 'video.key.' + action, { event, action, index }, true, true ) ) return;
+        this.#run_action( action, index );
+    }
+
+    /**
+     * Run action
+     * @private
+     * @param {string} action - Action name
+     * @param {number} index - Key index
+     * @return {void}
+     */
+    #run_action( action, index ) {
+        const video = this.context.video;
+        switch ( action ) {
+        case 'playpause' :
+            if ( video.paused ) {
+                video.play();
+            } else {
+                video.pause();
+            }
+            break;
+        case 'backward' :
+            this.#seek( video.currentTime - this.context.config.get( 'keyboard.seek' ) );
+            break;
+        case 'forward' :
+            this.#seek( video.currentTime + this.context.config.get( 'keyboard.seek' ) );
+            break;
+        case 'volumeup' :
+            this.#volume( this.context.config.get( 'keyboard.volume' ) );
+            break;
+        case 'volumedown' :
+            this.#volume( -this.context.config.get( 'keyboard.volume' ) );
+            break;
+        case 'mute' :
+            this.#toggle_mute();
+            break;
+        case 'fullscreen' :
+            this.#toggle_fullscreen();
+            break;
+        case 'percent' :
+            if ( Number.isFinite( video.duration ) ) this.#seek( video.duration / 100 * index * 10 );
+            break;
+        case 'start' :
+            this.#seek( 0 );
+            break;
+        case 'end' :
+            if ( Number.isFinite( video.duration ) ) this.#seek( video.duration );
+            break;
+        default :
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::run_action Unknown action', action );
+        }
+    }
+
+    /**
+     * Seek to time position
+     * @private
+     * @param {number} time - Time in seconds
+     * @return {void}
+     */
+    #seek( time ) {
+        const duration = this.context.video.duration;
+        time = Math.max( 0, time );
+        if ( Number.isFinite( duration ) ) time = Math.min( duration, time );
+        this.context.video.currentTime = time;
+    }
+
+    /**
+     * Change volume by step
+     * @private
+     * @param {number} step - Volume step in percent
+     * @return {void}
+     */
+    #volume( step ) {
+        const sound = this.context.plugins?.get( 'sound' );
+        const current = sound ? sound.volume() : this.context.video.volume * 100;
+        const volume = Math.min( 100, Math.max( 0, current + step ) );
+        if ( sound ) {
+            sound.volume( volume );
+        } else {
+            this.context.video.volume = volume / 100;
+        }
+    }
+
+    /**
+     * Toggle mute
+     * @private
+     * @return {void}
+     */
+    #toggle_mute() {
+        const sound = this.context.plugins?.get( 'sound' );
+        if ( sound ) {
+            if ( sound.isMuted() ) {
+                sound.unmute();
+            } else {
+                sound.mute();
+            }
+        } else {
+            this.context.video.muted = !this.context.video.muted;
+        }
+    }
+
+    /**
+     * Toggle fullscreen
+     * @private
+     * @return {void}
+     */
+    #toggle_fullscreen() {
+        const fullscreen = this.context.plugins?.get( 'fullscreen' );
+        if ( !fullscreen || !this.context.config.get( 'fullscreen.enabled' ) ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::toggle_fullscreen UiVideoPluginFullscreen not available' );
+            return;
+        }
+        if ( fullscreen.isFullscreen() ) {
+            fullscreen.exitFullscreen();
+        } else {
+            fullscreen.requestFullscreen();
+        }
+    }
+}
@@ -0,0 +1,386 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin picture-in-picture exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginPipException extends Exception {}
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'pip.on' : 'Picture-in-picture',
+    'pip.off' : 'Exit picture-in-picture',
+};
+
+/**
+ * Ui video plugin picture-in-picture controls
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginPip extends UiPlugin {
+
+    /**
+     * Viewport observer
+     * @private
+     * @property
+     * @type {null|IntersectionObserver}
+     */
+    #observer = null;
+
+    /**
+     * Entered automatically
+     * @private
+     * @property
+     * @type {boolean}
+     */
+    #auto_entered = false;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'pip';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Picture-in-picture control options
+            // @type {Object}
+            pip : {
+
+                // Picture-in-picture enabled
+                // @type {boolean}
+                enabled : true,
+
+                // Handle controls display with js
+                // @type {boolean}
+                display : false,
+
+                // Enter automatically when the player leaves the viewport while playing
+                // @type {boolean}
+                auto : false,
+
+                // Visible ratio of the player below which it counts as out of view
+                // @type {number}
+                threshold : 0.25,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Picture-in-picture button references
+                // @type {object}
+                pip : {
+
+                    // Picture-in-picture control wrapper
+                    // @type {string}
+                    control : '.ui-video__control--pip',
+
+                    // Open picture-in-picture button
+                    // @type {string}
+                    on : '[data-video="ctrl:pip"]',
+
+                    // Close picture-in-picture button
+                    // @type {string}
+                    off : '[data-video="ctrl:pip-off"]',
+                },
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            pip : { global : false, classOn : 'ui-video--pip' },
+        };
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Get references
+        const control = this.context.getDomRefs( 'pip.control', false );
+        const pip = this.context.getDomRefs( 'pip.on', false );
+        const exit = this.context.getDomRefs( 'pip.off', false );
+
+        // Check API and control availability
+        try {
+            this.#check_availability( control, pip, exit );
+        } catch ( e ) {
+            if ( this.debug ) this.debug.error( e );
+
+            // Disable on error or not available
+            this.disablePip();
+            return;
+        }
+
+        // Sync state with browser and native controls
+        const signal = this.context.signal;
+        this.context.video.addEventListener( 'enterpictureinpicture', () => { this.#set_state( true ); }, { signal } );
+        this.context.video.addEventListener( 'leavepictureinpicture', () => { this.#set_state( false ); }, { signal } );
+
+        // Bind picture-in-picture toggle
+        if ( control ) this.#bind_toggle( pip, exit );
+
+        // Observe viewport for automatic mode
+        this.#observe();
+
+        // Hide control if not enabled initially
+        if ( !this.context.config.get( 'pip.enabled' ) ) {
+            this.disablePip();
+        }
+    }
+
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+        if ( this.#observer ) {
+            this.#observer.disconnect();
+            this.#observer = null;
+        }
+
+        // Leave picture-in-picture mode
+        if ( this.isPip() ) {
+            this.exitPip().catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::destroyComponent Exit failed:', e );
+            } );
+        }
+    }
+
+    /**
+     * Is in picture-in-picture mode
+     * @public
+     * @return {boolean} - Picture-in-picture state
+     */
+    isPip() {
+        return this.context.states.is( 'pip' );
+    }
+
+    /**
+     * Enable picture-in-picture toggle control
+     * @public
+     * @return {void}
+     */
+    enablePip() {
+        const control = this.context.getDomRefs( 'pip.control', false );
+        this.context.config.set( 'pip.enabled', true );
+        if ( control ) this.context.constructor.showControl( control, true );
+    }
+
+    /**
+     * Disable picture-in-picture toggle control
+     * @public
+     * @return {void}
+     */
+    disablePip() {
+        const control = this.context.getDomRefs( 'pip.control', false );
+        this.context.config.set( 'pip.enabled', false );
+        if ( control ) this.context.constructor.hideControl( control, true );
+        if ( this.isPip() ) {
+            this.exitPip().catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::disablePip Exit failed:', e );
+            } );
+        }
+    }
+
+    /**
+     * Request picture-in-picture mode
+     * @public
+     * @return {Promise<void>} - Resolves when entered
+     */
+    requestPip() {
+        this.#auto_entered = false;
+        return this.context.video.requestPictureInPicture().then( () => {
+            this.#set_state( true );
+        } ).catch( ( e ) => {
+            window.console.error( this.constructor.name + '::requestPip Failed:', e );
+            throw new UiVideoPluginPipException( 'Failed to open picture-in-picture mode' );
+        } );
+    }
+
+    /**
+     * Exit picture-in-picture mode
+     * @public
+     * @return {Promise<void>} - Resolves when left
+     */
+    exitPip() {
+        if ( document.pictureInPictureElement !== this.context.video ) {
+            this.#set_state( false );
+            return Promise.resolve();
+        }
+        return document.exitPictureInPicture().then( () => {
+            this.#set_state( false );
+        } ).catch( ( e ) => {
+            window.console.error( this.constructor.name + '::exitPip Failed:', e );
+            throw new UiVideoPluginPipException( 'Failed to exit picture-in-picture mode' );
+        } );
+    }
+
+    /**
+     * Check API and element availability
+     * @private
+     * @param {HTMLElement} control - Control wrapper
+     * @param {HTMLButtonElement} pip - Picture-in-picture button
+     * @param {HTMLButtonElement} exit - Exit button
+     * @return {void}
+     */
+    #check_availability( control, pip, exit ) {
+
+        // Always throw if api not available
+        if ( !document.pictureInPictureEnabled || typeof this.context.video.requestPictureInPicture !== 'function' ) {
+            throw new UiVideoPluginPipException( 'Picture-in-picture API not available' );
+        }
+        if ( this.context.video.disablePictureInPicture ) {
+            throw new UiVideoPluginPipException( 'Picture-in-picture disabled on video element' );
+        }
+
+        // Notify if toggle control not available
+        if ( !control ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::check_availability dom.pip.control not available' );
+        } else {
+
+            // Require both toggle button states
+            if ( !pip ) throw new UiVideoPluginPipException( 'Picture-in-picture dom.pip.on not available' );
+            if ( !exit ) throw new UiVideoPluginPipException( 'Picture-in-picture dom.pip.off not available' );
+        }
+    }
+
+    /**
+     * Set state, controls and notify
+     * @private
+     * @param {boolean} active - Picture-in-picture active
+     * @return {void}
+     */
+    #set_state( active ) {
+        if ( active === this.isPip() ) return;
+        const pip = this.context.getDomRefs( 'pip.on', false );
+        const exit = this.context.getDomRefs( 'pip.off', false );
+        this.context.states[ active ? 'set' : 'unset' ]( 'pip' );
+        if ( pip && exit ) {
+            const display = this.context.config.get( 'pip.display' );
+            this.context.constructor[ active ? 'hideControl' : 'showControl' ]( pip, display );
+            this.context.constructor[ active ? 'showControl' : 'hideControl' ]( exit, display );
+        }
+        const auto = this.#auto_entered;
+        if ( !active ) this.#auto_entered = false;
+        this.context.dispatchEvent( 'video.pip.' + ( active ? 'enter' : 'exit' ), { auto } );
+    }
+
+    /**
+     * Observe viewport for automatic picture-in-picture
+     * @private
+     * @return {void}
+     */
+    #observe() {
+        if ( typeof window.IntersectionObserver !== 'function' ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::observe IntersectionObserver not available' );
+            return;
+        }
+        const threshold = this.context.config.get( 'pip.threshold' );
+        this.#observer = new window.IntersectionObserver( ( entries ) => {
+            const entry = entries[ entries.length - 1 ];
+            if ( !this.context.config.get( 'pip.enabled' ) || !this.context.config.get( 'pip.auto' ) ) return;
+            const visible = entry.isIntersecting && entry.intersectionRatio >= threshold;
+
+            // Enter when leaving the viewport while playing
+            if ( !visible && !this.isPip() && !this.context.video.paused ) {
+                this.#auto_entered = true;
+                this.context.video.requestPictureInPicture().then( () => {
+                    this.#set_state( true );
+                } ).catch( ( e ) => {
+                    this.#auto_entered = false;
+
+                    // Browsers may require a user gesture
+                    if ( this.debug ) this.debug.warn( this.constructor.name + '::observe Automatic picture-in-picture failed:', e );
+                } );
+            } else if ( visible && this.isPip() && this.#auto_entered ) {
+
+                // Leave automatically entered mode when back in view
+                this.exitPip().catch( ( e ) => {
+                    if ( this.debug ) this.debug.warn( this.constructor.name + '::observe Automatic exit failed:', e );
+                } );
+            }
+        }, { threshold : [ 0, threshold ] } );
+        this.#observer.observe( this.context.dom );
+    }
+
+    /**
+     * Bind picture-in-picture toggle
+     * @private
+     * @param {HTMLButtonElement} pip - Picture-in-picture button
+     * @param {HTMLButtonElement} exit - Exit button
+     * @return {void}
+     */
+    #bind_toggle( pip, exit ) {
+        this.context.setLabel( pip, 'pip.on' );
+        this.context.setLabel( exit, 'pip.off' );
+        pip.addEventListener( 'click', ( event ) => {
+            if ( !this.context.config.get( 'pip.enabled' ) ) return;
+            event.preventDefault();
+            this.requestPip().then( () => {
+                pip.blur();
+                if ( this.context.config.get( 'controls.refocus' ) ) exit.focus();
+            } ).catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::bind_toggle Request failed:', e );
+            } );
+        }, { signal : this.context.signal } );
+        exit.addEventListener( 'click', ( event ) => {
+            if ( !this.context.config.get( 'pip.enabled' ) ) return;
+            event.preventDefault();
+            this.exitPip().then( () => {
+                exit.blur();
+                if ( this.context.config.get( 'controls.refocus' ) ) pip.focus();
+            } ).catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::bind_toggle Exit failed:', e );
+            } );
+        }, { signal : this.context.signal } );
+
+        // Initial state
+        const display = this.context.config.get( 'pip.display' );
+        this.context.constructor.hideControl( exit, display );
+        this.context.constructor.showControl( pip, display );
+    }
+}
@@ -0,0 +1,535 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception, rand } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin playlist exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginPlaylistException extends Exception {}
+
+/**
+ * @typedef {Object} VideoPlaylistItem - Playlist entry, a separate video with its own sources
+ * @property {string} id - Item id, used with goto()
+ * @property {string} title - Item title
+ * @property {string} poster - Poster url, used for any source without a poster
+ * @property {Array<VideoSource>} sources - Item video sources
+ * @property {null|number} selected - Source index to select, default: 0
+ */
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'playlist.next' : 'Next video',
+    'playlist.prev' : 'Previous video',
+};
+
+/**
+ * Ui video plugin playlist
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginPlaylist extends UiPlugin {
+
+    /**
+     * Current item index
+     * @private
+     * @property
+     * @type {null|number}
+     */
+    #current = null;
+
+    /**
+     * Play order of item indexes
+     * @private
+     * @property
+     * @type {Array<number>}
+     */
+    #order = [];
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'playlist';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Playlist options
+            // @type {Object}
+            playlist : {
+
+                // Playlist items
+                // @type {Array<VideoPlaylistItem>}
+                items : [],
+
+                // Initially selected item index
+                // @type {null|number}
+                selected : 0,
+
+                // Load the next item when the current item has ended, repeat one replays the item regardless
+                // @type {boolean}
+                autoadvance : true,
+
+                // Shuffle play order
+                // @type {boolean}
+                shuffle : false,
+
+                // Repeat mode: none, one, all
+                // @type {string}
+                repeat : 'none',
+
+                // Handle controls display with js
+                // @type {boolean}
+                display : false,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Playlist button references
+                // @type {object}
+                playlist : {
+
+                    // Next item button
+                    // @type {string}
+                    next : '[data-video="ctrl:next"]',
+
+                    // Previous item button
+                    // @type {string}
+                    prev : '[data-video="ctrl:prev"]',
+
+                    // Current item title label
+                    // @type {string}
+                    title : '[data-video="label:title"]',
+                },
+            },
+        };
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Validate options
+        const items = this.context.config.get( 'playlist.items' );
+        if ( !( items instanceof Array ) ) {
+            throw new UiVideoPluginPlaylistException( 'Option playlist.items must be an Array' );
+        }
+        this.#validate_repeat( this.context.config.get( 'playlist.repeat' ) );
+
+        // Nothing to play
+        if ( !items.length ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::initComponent No playlist items available' );
+        }
+
+        // Build initial play order
+        this.#build_order();
+
+        // Bind next/previous controls
+        this.#bind_controls();
+
+        /**
+         * Advance on video ended
+         * @private
+         * @return {void}
+         */
+        this.context.video.addEventListener( 'ended', () => {
+
+            // Wait for ads and the post-roll, the content ends again after the restore
+            if ( this.context.states.is( 'ad' ) || this.context.plugins?.get( 'ads' )?.isPending( 'end' ) ) return;
+
+            // Repeat one does not depend on auto advance
+            if ( this.context.config.get( 'playlist.repeat' ) === 'one' ) {
+                this.context.video.currentTime = 0;
+                this.#play();
+                return;
+            }
+            if ( !this.context.config.get( 'playlist.autoadvance' ) ) return;
+            if ( !this.next( true ) ) this.context.dispatchEvent( 'video.playlist.end' );
+        }, { signal : this.context.signal } );
+
+        // Set initial item sources, selected by the component init
+        const selected = this.context.config.get( 'playlist.selected' );
+        if ( typeof selected === 'number' && items[ selected ] ) {
+            this.#current = selected;
+            if ( this.context.config.get( 'playlist.shuffle' ) ) this.#build_order();
+            const item = items[ selected ];
+            this.context.config.set( 'sources', this.#item_sources( item ) );
+            this.context.config.set( 'selected', typeof item.selected === 'number' ? item.selected : 0 );
+            this.#update_controls();
+            this.#update_title( item );
+        }
+    }
+
+    /**
+     * Get playlist items
+     * @public
+     * @return {Array<VideoPlaylistItem>} - Playlist items
+     */
+    getItems() {
+        return this.context.config.get( 'playlist.items' );
+    }
+
+    /**
+     * Get current item
+     * @public
+     * @return {null|VideoPlaylistItem} - Current item
+     */
+    getCurrentItem() {
+        if ( this.#current === null ) return null;
+        return this.getItems()[ this.#current ] || null;
+    }
+
+    /**
+     * Get current item index
+     * @public
+     * @return {null|number} - Current item index
+     */
+    getCurrentIndex() {
+        return this.#current;
+    }
+
+    /**
+     * Find item index by id
+     * @public
+     * @param {string} id - Item id
+     * @return {null|number} - Item index
+     */
+    findItemIndex( id ) {
+        const items = this.getItems();
+        for ( let i = 0; i < items.length; i++ ) {
+            if ( items[ i ].id === id ) return i;
+        }
+        return null;
+    }
+
+    /**
+     * Load item by id
+     * @public
+     * @param {string} id - Item id
+     * @param {null|boolean} play - Play after loading, null keeps the current play state
+     * @return {void}
+     */
+    goto( id, play = null ) {
+        const index = this.findItemIndex( id );
+        if ( index === null ) throw new UiVideoPluginPlaylistException( 'Playlist item not found: ' + id );
+        this.select( index, play );
+    }
+
+    /**
+     * Load item by index
+     * @public
+     * @param {number} index - Item index
+     * @param {null|boolean} play - Play after loading, null keeps the current play state
+     * @return {void}
+     */
+    select( index, play = null ) {
+        const items = this.getItems();
+        if ( typeof index !== 'number' || !items[ index ] ) {
+            throw new UiVideoPluginPlaylistException( 'Playlist item index #' + index + ' not found' );
+        }
+        if ( play === null ) play = !this.context.video.paused;
+        this.#load( index, play );
+    }
+
+    /**
+     * Load next item
+     * @public
+     * @param {null|boolean} play - Play after loading, null keeps the current play state
+     * @return {boolean} - True if an item was loaded
+     */
+    next( play = null ) {
+        const index = this.#get_relative( 1 );
+        if ( index === null ) return false;
+        this.select( index, play );
+        return true;
+    }
+
+    /**
+     * Load previous item
+     * @public
+     * @param {null|boolean} play - Play after loading, null keeps the current play state
+     * @return {boolean} - True if an item was loaded
+     */
+    previous( play = null ) {
+        const index = this.#get_relative( -1 );
+        if ( index === null ) return false;
+        this.select( index, play );
+        return true;
+    }
+
+    /**
+     * Has next item
+     * @public
+     * @return {boolean} - True if there is a next item
+     */
+    hasNext() {
+        return this.#get_relative( 1 ) !== null;
+    }
+
+    /**
+     * Has previous item
+     * @public
+     * @return {boolean} - True if there is a previous item
+     */
+    hasPrevious() {
+        return this.#get_relative( -1 ) !== null;
+    }
+
+    /**
+     * Get/set shuffle state
+     * @public
+     * @param {null|boolean} state - Shuffle state
+     * @return {boolean|void} - Returns current state without an argument
+     */
+    shuffle( state = null ) {
+
+        // Return current state if no argument is set
+        if ( state === null ) return this.context.config.get( 'playlist.shuffle' );
+
+        // Set state and rebuild order
+        state = !!state;
+        this.context.config.set( 'playlist.shuffle', state );
+        this.#build_order();
+        this.#update_controls();
+        this.context.dispatchEvent( 'video.playlist.shuffle', { state } );
+    }
+
+    /**
+     * Get/set repeat mode
+     * @public
+     * @param {null|string} mode - Repeat mode: none, one, all
+     * @return {string|void} - Returns current mode without an argument
+     */
+    repeat( mode = null ) {
+
+        // Return current mode if no argument is set
+        if ( mode === null ) return this.context.config.get( 'playlist.repeat' );
+
+        // Set valid mode
+        this.#validate_repeat( mode );
+        this.context.config.set( 'playlist.repeat', mode );
+        this.#update_controls();
+        this.context.dispatchEvent( 'video.playlist.repeat', { mode } );
+    }
+
+    /**
+     * Validate repeat mode
+     * @private
+     * @param {string} mode - Repeat mode
+     * @return {void}
+     */
+    #validate_repeat( mode ) {
+        if ( ![ 'none', 'one', 'all' ].includes( mode ) ) {
+            throw new UiVideoPluginPlaylistException( 'Invalid repeat mode, must be one of: none, one, all' );
+        }
+    }
+
+    /**
+     * Build play order
+     * @private
+     * @return {void}
+     */
+    #build_order() {
+        const length = this.getItems().length;
+        this.#order = [];
+        for ( let i = 0; i < length; i++ ) {
+            if ( i !== this.#current ) this.#order.push( i );
+        }
+
+        // Shuffle remaining items
+        if ( this.context.config.get( 'playlist.shuffle' ) ) {
+            for ( let i = this.#order.length - 1; i > 0; i-- ) {
+                const j = rand( 0, i );
+                [ this.#order[ i ], this.#order[ j ] ] = [ this.#order[ j ], this.#order[ i ] ];
+            }
+        }
+
+        // Current item always comes first in shuffle mode and keeps its position otherwise
+        if ( this.#current !== null ) {
+            if ( this.context.config.get( 'playlist.shuffle' ) ) {
+                this.#order.unshift( this.#current );
+            } else {
+                this.#order.splice( this.#current, 0, this.#current );
+            }
+        }
+    }
+
+    /**
+     * Get item index relative to the current position in the play order
+     * @private
+     * @param {number} step - Relative step
+     * @return {null|number} - Item index
+     */
+    #get_relative( step ) {
+        if ( !this.#order.length ) return null;
+        if ( this.#current === null ) return this.#order[ 0 ];
+        let position = this.#order.indexOf( this.#current ) + step;
+
+        // Wrap around in repeat all mode
+        if ( position < 0 || position >= this.#order.length ) {
+            if ( this.context.config.get( 'playlist.repeat' ) !== 'all' ) return null;
+            position = position < 0 ? this.#order.length - 1 : 0;
+        }
+        return this.#order[ position ];
+    }
+
+    /**
+     * Get item sources with item poster fallback
+     * @private
+     * @param {VideoPlaylistItem} item - Playlist item
+     * @return {Array<VideoSource>} - Video sources
+     */
+    #item_sources( item ) {
+        if ( !( item.sources instanceof Array ) || !item.sources.length ) {
+            throw new UiVideoPluginPlaylistException( 'Playlist item requires a non empty sources Array' );
+        }
+        const sources = [];
+        for ( let i = 0; i < item.sources.length; i++ ) {
+            const source = Object.assign( {}, item.sources[ i ] );
+            if ( !source.poster && item.poster ) source.poster = item.poster;
+            sources.push( source );
+        }
+        return sources;
+    }
+
+    /**
+     * Load item
+     * @private
+     * @param {number} index - Item index
+     * @param {boolean} play - Play after loading
+     * @return {void}
+     */
+    #load( index, play ) {
+        const item = this.getItems()[ index ];
+        const previous = this.#current;
+
+        // Replace component sources and select
+        this.context.config.set( 'sources', this.#item_sources( item ) );
+        this.#current = index;
+        const source = this.context.getCurrentSource();
+        this.context.selectSource( typeof item.selected === 'number' ? item.selected : 0 );
+        if ( play ) {
+
+            // The component keeps an unchanged source loaded, so there is no canplay to wait for
+            if ( this.context.getCurrentSource() === source ) {
+                this.#play();
+            } else {
+                this.context.video.addEventListener( 'canplay', () => {
+                    this.#play();
+                }, { once : true, signal : this.context.signal } );
+            }
+        }
+        this.#update_controls();
+        this.#update_title( item );
+
+        // Allow for any actions after an item was loaded
+        this.context.dispatchEvent( 'video.playlist.change', { index, item, previous } );
+    }
+
+    /**
+     * Play video, autoplay policies may reject
+     * @private
+     * @return {void}
+     */
+    #play() {
+        const result = this.context.video.play();
+        if ( result instanceof Promise ) {
+            result.catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::play Playback failed:', e );
+            } );
+        }
+    }
+
+    /**
+     * Bind next/previous controls
+     * @private
+     * @return {void}
+     */
+    #bind_controls() {
+        const next = this.context.getDomRefs( 'playlist.next', false );
+        const prev = this.context.getDomRefs( 'playlist.prev', false );
+        if ( next ) {
+            this.context.setLabel( next, 'playlist.next' );
+            next.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                this.next();
+            }, { signal : this.context.signal } );
+        }
+        if ( prev ) {
+            this.context.setLabel( prev, 'playlist.prev' );
+            prev.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                this.previous();
+            }, { signal : this.context.signal } );
+        }
+        if ( !next && !prev && this.debug ) {
+            this.debug.warn( this.constructor.name + '::bind_controls No next/prev control available' );
+        }
+        this.#update_controls();
+    }
+
+    /**
+     * Update next/previous control visibility
+     * @private
+     * @return {void}
+     */
+    #update_controls() {
+        const display = this.context.config.get( 'playlist.display' );
+        const next = this.context.getDomRefs( 'playlist.next', false );
+        const prev = this.context.getDomRefs( 'playlist.prev', false );
+        if ( next ) this.context.constructor[ ( this.hasNext() ? 'show' : 'hide' ) + 'Control' ]( next, display );
+        if ( prev ) this.context.constructor[ ( this.hasPrevious() ? 'show' : 'hide' ) + 'Control' ]( prev, display );
+    }
+
+    /**
+     * Update title label
+     * @private
+     * @param {VideoPlaylistItem} item - Playlist item
+     * @return {void}
+     */
+    #update_title( item ) {
+        const title = this.context.getDomRefs( 'playlist.title', false );
+        if ( title ) title.innerText = item.title || '';
+    }
+}
@@ -0,0 +1,444 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception, isPojo } from '@squirrel-forge/ui-util';
+import { UiVideoPluginTime } from './UiVideoPluginTime.js';
+import { loadText } from '../Utils/loadText.js';
+import { parseWebVTT } from '../Utils/parseWebVTT.js';
+
+/**
+ * Ui video plugin preview exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginPreviewException extends Exception {}
+
+/**
+ * @typedef {Object} VideoThumbnailsSprite - Sprite sheet grid definition
+ * @property {string} src - Sprite image url
+ * @property {number} width - Single thumbnail width in pixels
+ * @property {number} height - Single thumbnail height in pixels
+ * @property {number} columns - Thumbnails per row
+ * @property {number} interval - Seconds per thumbnail
+ */
+
+/**
+ * @typedef {Object} VideoThumbnail - Resolved thumbnail
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {string} src - Image url
+ * @property {null|number} x - Sprite x offset
+ * @property {null|number} y - Sprite y offset
+ * @property {null|number} width - Sprite width
+ * @property {null|number} height - Sprite height
+ */
+
+/**
+ * @typedef {Object} VideoSourcePreview - Extends the normal VideoSource
+ * @extends VideoSource
+ * @property {string|VideoThumbnailsSprite} thumbnails - WebVTT thumbnails url or sprite sheet grid
+ */
+
+/**
+ * Ui video plugin seek preview
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginPreview extends UiPlugin {
+
+    /**
+     * Thumbnails from WebVTT
+     * @private
+     * @property
+     * @type {Array<VideoThumbnail>}
+     */
+    #thumbnails = [];
+
+    /**
+     * Sprite grid definition
+     * @private
+     * @property
+     * @type {null|VideoThumbnailsSprite}
+     */
+    #sprite = null;
+
+    /**
+     * Load counter to discard outdated requests
+     * @private
+     * @property
+     * @type {number}
+     */
+    #loading = 0;
+
+    /**
+     * Active inputs, pointer and focus
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #active = { pointer : false, focus : false };
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'preview';
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Preview options
+            // @type {Object}
+            preview : {
+
+                // Source thumbnails property
+                // @type {string}
+                propertyName : 'thumbnails',
+
+                // Time format, see UiVideoPluginTime.formatTime()
+                // @type {string}
+                format : 'auto',
+
+                // Set aria-valuetext on the progress input
+                // @type {boolean}
+                valuetext : true,
+
+                // Thumbnails file loader, receives the url and returns the text or a Promise resolving it, see loadText
+                // @type {null|Function}
+                loader : null,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Preview references
+                // @type {object}
+                preview : {
+
+                    // Tooltip wrapper, created inside dom.progress.control if not available
+                    // @type {string}
+                    tooltip : '.ui-video__preview',
+
+                    // Thumbnail image
+                    // @type {string}
+                    image : '.ui-video__preview-image',
+
+                    // Time label
+                    // @type {string}
+                    time : '.ui-video__preview-time',
+                },
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            preview : { global : false, classOn : 'ui-video--preview' },
+            previewThumbnails : { global : false, classOn : 'ui-video--preview-thumbnails' },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.set', ( event ) => { this.#event_source_set( event ); } ],
+            [ 'video.source.unset', () => { this.#clear(); } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Requires the progress control
+        const control = this.context.getDomRefs( 'progress.control', false );
+        const input = this.context.getDomRefs( 'progress.input', false );
+        if ( !control || !input ) {
+            if ( this.debug ) this.debug.error( this.constructor.name + '::initComponent Requires UiVideoPluginProgress controls' );
+            return;
+        }
+
+        // Create tooltip if not defined in markup
+        if ( !this.context.getDomRefs( 'preview.tooltip', false ) ) this.#create_tooltip( control );
+        this.hide();
+
+        // Bind pointer events
+        input.addEventListener( 'pointermove', ( event ) => {
+            const rect = input.getBoundingClientRect();
+            if ( !rect.width ) return;
+            this.#active.pointer = true;
+            this.show( Math.min( 1, Math.max( 0, ( event.clientX - rect.left ) / rect.width ) ) * 100 );
+        }, { signal : this.context.signal } );
+        input.addEventListener( 'pointerleave', () => {
+            this.#active.pointer = false;
+            if ( this.#active.focus ) {
+                this.show( parseFloat( input.value ) );
+            } else {
+                this.hide();
+            }
+        }, { signal : this.context.signal } );
+
+        // Bind keyboard focus events
+        input.addEventListener( 'focus', () => {
+            this.#active.focus = true;
+            if ( !this.#active.pointer ) this.show( parseFloat( input.value ) );
+        }, { signal : this.context.signal } );
+        input.addEventListener( 'input', () => {
+            if ( this.#active.focus && !this.#active.pointer ) this.show( parseFloat( input.value ) );
+        }, { signal : this.context.signal } );
+        input.addEventListener( 'blur', () => {
+            this.#active.focus = false;
+            if ( !this.#active.pointer ) this.hide();
+        }, { signal : this.context.signal } );
+
+        // Update value text for screen readers
+        this.context.video.addEventListener( 'timeupdate', () => { this.#update_valuetext( input ); }, { signal : this.context.signal } );
+    }
+
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+
+        // Ignore pending thumbnail files
+        this.#loading++;
+    }
+
+    /**
+     * Get thumbnail for time
+     * @public
+     * @param {number} time - Time in seconds
+     * @return {null|VideoThumbnail} - Thumbnail
+     */
+    getThumbnail( time ) {
+
+        // Sprite grid
+        if ( this.#sprite ) {
+            const { src, width, height, columns, interval } = this.#sprite;
+            const index = Math.floor( time / interval );
+            return {
+                start : index * interval,
+                end : ( index + 1 ) * interval,
+                src : src,
+                x : index % columns * width,
+                y : Math.floor( index / columns ) * height,
+                width : width,
+                height : height,
+            };
+        }
+
+        // WebVTT thumbnails
+        for ( let i = 0; i < this.#thumbnails.length; i++ ) {
+            if ( time >= this.#thumbnails[ i ].start && time < this.#thumbnails[ i ].end ) return this.#thumbnails[ i ];
+        }
+        return null;
+    }
+
+    /**
+     * Show preview at position
+     * @public
+     * @param {number} percent - Position percent
+     * @return {void}
+     */
+    show( percent ) {
+        const duration = this.context.video.duration;
+        if ( !Number.isFinite( duration ) || Number.isNaN( percent ) ) return;
+        const time = duration / 100 * percent;
+        const tooltip = this.context.getDomRefs( 'preview.tooltip', false );
+        const image = this.context.getDomRefs( 'preview.image', false );
+        const label = this.context.getDomRefs( 'preview.time', false );
+        const thumbnail = this.getThumbnail( time );
+
+        // Position and time
+        if ( tooltip ) tooltip.style.setProperty( '--ui-video-preview-percent', percent + '%' );
+        if ( label ) label.innerText = UiVideoPluginTime.formatTime( time, this.context.config.get( 'preview.format' ), duration );
+
+        // Thumbnail image
+        if ( image ) this.#set_image( image, thumbnail );
+
+        // Show state
+        const was_showing = this.context.states.is( 'preview' );
+        if ( tooltip ) tooltip.hidden = false;
+        this.context.states.set( 'preview' );
+        if ( !was_showing ) this.context.dispatchEvent( 'video.preview.show' );
+        this.context.dispatchEvent( 'video.preview.update', { time, percent, thumbnail } );
+    }
+
+    /**
+     * Hide preview
+     * @public
+     * @return {void}
+     */
+    hide() {
+        const tooltip = this.context.getDomRefs( 'preview.tooltip', false );
+        if ( tooltip ) tooltip.hidden = true;
+        if ( this.context.states.is( 'preview' ) ) {
+            this.context.states.unset( 'preview' );
+            this.context.dispatchEvent( 'video.preview.hide' );
+        }
+    }
+
+    /**
+     * Create tooltip
+     * @private
+     * @param {HTMLElement} control - Progress control wrapper
+     * @return {void}
+     */
+    #create_tooltip( control ) {
+        const tooltip = document.createElement( 'div' );
+        tooltip.classList.add( 'ui-video__preview' );
+        tooltip.setAttribute( 'aria-hidden', 'true' );
+        const image = document.createElement( 'div' );
+        image.classList.add( 'ui-video__preview-image' );
+        const time = document.createElement( 'span' );
+        time.classList.add( 'ui-video__preview-time' );
+        tooltip.appendChild( image );
+        tooltip.appendChild( time );
+        control.appendChild( tooltip );
+    }
+
+    /**
+     * Set thumbnail image
+     * @private
+     * @param {HTMLElement} image - Image element
+     * @param {null|VideoThumbnail} thumbnail - Thumbnail
+     * @return {void}
+     */
+    #set_image( image, thumbnail ) {
+        if ( !thumbnail ) {
+            image.hidden = true;
+            image.style.backgroundImage = '';
+            return;
+        }
+        image.hidden = false;
+        image.style.backgroundImage = 'url("' + thumbnail.src + '")';
+        if ( thumbnail.width !== null ) {
+            image.style.backgroundPosition = -thumbnail.x + 'px ' + -thumbnail.y + 'px';
+            image.style.width = thumbnail.width + 'px';
+            image.style.height = thumbnail.height + 'px';
+        } else {
+            image.style.backgroundPosition = '';
+            image.style.width = '';
+            image.style.height = '';
+        }
+    }
+
+    /**
+     * Update input value text
+     * @private
+     * @param {HTMLInputElement} input - Progress input
+     * @return {void}
+     */
+    #update_valuetext( input ) {
+        if ( !this.context.config.get( 'preview.valuetext' ) ) return;
+        const format = this.context.config.get( 'preview.format' );
+        const duration = this.context.video.duration;
+        const current = UiVideoPluginTime.formatTime( this.context.video.currentTime, format, duration );
+        const total = UiVideoPluginTime.formatTime( duration, format, duration );
+        if ( current === null ) {
+            input.removeAttribute( 'aria-valuetext' );
+        } else {
+            input.setAttribute( 'aria-valuetext', current + ( total !== null ? ' / ' + total : '' ) );
+        }
+    }
+
+    /**
+     * Remove thumbnails
+     * @private
+     * @return {void}
+     */
+    #clear() {
+        this.#thumbnails = [];
+        this.#sprite = null;
+        this.context.states.unset( 'previewThumbnails' );
+        this.hide();
+    }
+
+    /**
+     * Event video.source.set
+     * @private
+     * @param {Event} event - Source set event
+     * @return {void}
+     */
+    #event_source_set( event ) {
+        this.#clear();
+        const thumbnails = event.detail.source[ this.context.config.get( 'preview.propertyName' ) ];
+        const token = ++this.#loading;
+        if ( !thumbnails ) return;
+
+        // Sprite sheet grid
+        if ( isPojo( thumbnails ) ) {
+            const { src, width, height, columns, interval } = thumbnails;
+            const valid = [ width, height, columns, interval ].every( ( v ) => { return typeof v === 'number' && v > 0; } );
+            if ( typeof src !== 'string' || !valid ) {
+                throw new UiVideoPluginPreviewException( 'Thumbnails sprite requires src, width, height, columns and interval' );
+            }
+            this.#sprite = { src, width, height, columns, interval };
+            this.context.states.set( 'previewThumbnails' );
+            return;
+        }
+
+        // WebVTT thumbnails file
+        if ( typeof thumbnails !== 'string' || !thumbnails.length ) {
+            throw new UiVideoPluginPreviewException( 'Source thumbnails must be a sprite definition or a WebVTT url' );
+        }
+        loadText( thumbnails, this.context.config.get( 'preview.loader' ) ).then( ( text ) => {
+            if ( token !== this.#loading ) return;
+            this.#thumbnails = this.#parse( text, thumbnails );
+            if ( this.#thumbnails.length ) this.context.states.set( 'previewThumbnails' );
+        } ).catch( ( e ) => {
+            window.console.error( this.constructor.name + '::load Failed:', e );
+            this.context.dispatchEvent( 'video.preview.error', { url : thumbnails, error : e } );
+        } );
+    }
+
+    /**
+     * Parse WebVTT thumbnails
+     * @private
+     * @param {string} text - WebVTT text
+     * @param {string} url - WebVTT url, to resolve relative image urls
+     * @return {Array<VideoThumbnail>} - Thumbnails
+     */
+    #parse( text, url ) {
+        const cues = parseWebVTT( text );
+        const result = [];
+        for ( let i = 0; i < cues.length; i++ ) {
+            const [ path, hash ] = cues[ i ].text.trim().split( '#' );
+            const thumbnail = {
+                start : cues[ i ].start,
+                end : cues[ i ].end,
+                src : new URL( path, new URL( url, window.location.href ) ).href,
+                x : null,
+                y : null,
+                width : null,
+                height : null,
+            };
+            const xywh = hash && hash.match( /^xywh=(\d+),(\d+),(\d+),(\d+)$/ );
+            if ( xywh ) {
+                [ thumbnail.x, thumbnail.y, thumbnail.width, thumbnail.height ] = xywh.slice( 1 ).map( ( v ) => { return parseInt( v ); } );
+            }
+            result.push( thumbnail );
+        }
+        return result;
+    }
+}
@@ -11,6 +11,14 @@ import { Exception, round } from '@squirrel-forge/ui-util';
  */
 class UiVideoPluginProgressException extends Exception {}
 
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'progress.input' : 'Seek',
+};
+
 /**
  * Ui video plugin progress control
  * @class
@@ -18,6 +26,14 @@ class UiVideoPluginProgressException extends Exception {}
  */
 export class UiVideoPluginProgress extends UiPlugin {
 
+    /**
+     * Last rendered ranges, unchanged ranges are not rendered again
+     * @private
+     * @property
+     * @type {null|string}
+     */
+    #ranges = null;
+
     /**
      * Plugin name getter
      * @public
@@ -28,6 +44,31 @@ export class UiVideoPluginProgress extends UiPlugin {
         return 'progress';
     }
 
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Get time ranges as array
+     * @public
+     * @static
+     * @param {TimeRanges} ranges - Time ranges
+     * @return {Array<Array<number>>} - List of start and end times
+     */
+    static rangesToArray( ranges ) {
+        const result = [];
+        for ( let i = 0; i < ranges.length; i++ ) {
+            result.push( [ ranges.start( i ), ranges.end( i ) ] );
+        }
+        return result;
+    }
+
     /**
      * Constructor
      * @constructor
@@ -54,6 +95,14 @@ export class UiVideoPluginProgress extends UiPlugin {
                 // @type {boolean}
                 cssprop : true,
 
+                // Add css custom properties with buffered and played number and percentage
+                // @type {boolean}
+                rangesprop : true,
+
+                // Render buffered and played range segments inside the progress control
+                // @type {boolean}
+                segments : false,
+
                 // Percent decimals
                 // @type {Object}
                 decimals : {
@@ -97,8 +146,8 @@ export class UiVideoPluginProgress extends UiPlugin {
 
         // Register events
         this.registerEvents = [
-            [ 'video.source.set', () => { this.#event_timeupdate(); } ],
-            [ 'video.source.unset', () => { this.#event_timeupdate( false ); } ],
+            [ 'video.source.set', () => { this.#event_timeupdate(); this.#event_ranges( false ); } ],
+            [ 'video.source.unset', () => { this.#event_timeupdate( false ); this.#event_ranges( false ); } ],
         ];
     }
 
@@ -111,12 +160,25 @@ export class UiVideoPluginProgress extends UiPlugin {
     initComponent( context ) {
         super.initComponent( context );
 
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
         /**
          * Time update related actions are independent of the controls existance
          * @private
          * @return {void}
          */
-        this.context.video.addEventListener( 'timeupdate', () => { this.#event_timeupdate(); } );
+        this.context.video.addEventListener( 'timeupdate', () => {
+            this.#event_timeupdate();
+            this.#event_ranges();
+        }, { signal : this.context.signal } );
+
+        /**
+         * Buffered range updates
+         * @private
+         * @return {void}
+         */
+        this.context.video.addEventListener( 'progress', () => { this.#event_ranges(); }, { signal : this.context.signal } );
 
         // Get references for component related events
         const control = this.context.getDomRefs('progress.control', false);
@@ -130,6 +192,7 @@ export class UiVideoPluginProgress extends UiPlugin {
 
         // Requires progress
         if ( !progress ) throw new UiVideoPluginProgressException( 'Progress dom.progress.input not available' );
+        this.context.setLabel( progress, 'progress.input' );
 
         // Initial set/get non interactive/readonly mode
         const progress_interaction = this.context.config.get( 'progress.interactive' );
@@ -147,7 +210,7 @@ export class UiVideoPluginProgress extends UiPlugin {
         progress.addEventListener( 'change', () => {
             if ( !this.context.config.get( 'progress.interactive' ) ) return;
             this.context.video.currentTime = this.context.video.duration / 100 * parseFloat( progress.value );
-        });
+        }, { signal : this.context.signal } );
 
         /**
          * Set video position while dragging
@@ -157,7 +220,7 @@ export class UiVideoPluginProgress extends UiPlugin {
         progress.addEventListener( 'input', () => {
             if ( !this.context.config.get( 'progress.interactive' ) ) return;
             this.context.video.currentTime = this.context.video.duration / 100 * parseFloat( progress.value );
-        });
+        }, { signal : this.context.signal } );
     }
 
     /**
@@ -242,4 +305,104 @@ export class UiVideoPluginProgress extends UiPlugin {
             if ( label ) this.#set_label( label, percent );
         }
     }
+
+    /**
+     * Set ranges CSS custom properties
+     * @private
+     * @param {number} buffered - Percent buffered
+     * @param {number} played - Percent played
+     * @return {void}
+     */
+    #set_ranges_cssprop( buffered, played ) {
+        const decimals = this.context.config.get( 'progress.decimals.cssprop' );
+        if ( decimals !== null ) {
+            buffered = round( buffered, decimals );
+            played = round( played, decimals );
+        }
+        this.context.dom.style.setProperty( '--ui-video-buffered-percent', buffered + '%' );
+        this.context.dom.style.setProperty( '--ui-video-buffered-number', buffered );
+        this.context.dom.style.setProperty( '--ui-video-played-percent', played + '%' );
+        this.context.dom.style.setProperty( '--ui-video-played-number', played );
+    }
+
+    /**
+     * Render range segments
+     * @private
+     * @param {HTMLElement} control - Progress control wrapper
+     * @param {Object} ranges - Buffered and played ranges
+     * @param {number} duration - Video duration
+     * @return {void}
+     */
+    #set_segments( control, ranges, duration ) {
+        let wrap = control.querySelector( '.ui-video__ranges' );
+        if ( !wrap ) {
+            wrap = document.createElement( 'div' );
+            wrap.classList.add( 'ui-video__ranges' );
+            wrap.setAttribute( 'aria-hidden', 'true' );
+            control.appendChild( wrap );
+        }
+        wrap.innerHTML = '';
+        const types = Object.keys( ranges );
+        for ( let i = 0; i < types.length; i++ ) {
+            const list = ranges[ types[ i ] ];
+            for ( let j = 0; j < list.length; j++ ) {
+                const [ start, end ] = list[ j ];
+                const segment = document.createElement( 'span' );
+                segment.classList.add( 'ui-video__range', 'ui-video__range--' + types[ i ] );
+                segment.style.left = start / duration * 100 + '%';
+                segment.style.width = ( end - start ) / duration * 100 + '%';
+                wrap.appendChild( segment );
+            }
+        }
+    }
+
+    /**
+     * Event video.source.unset video.source.set progress timeupdate
+     * @private
+     * @param {boolean} available - If ranges are available
+     * @return {void}
+     */
+    #event_ranges( available = true ) {
+        const video = this.context.video;
+        const duration = video.duration;
+        const valid = available && Number.isFinite( duration ) && duration > 0;
+
+        // Collect ranges
+        const ranges = {
+            buffered : valid ? this.constructor.rangesToArray( video.buffered ) : [],
+            played : valid ? this.constructor.rangesToArray( video.played ) : [],
+        };
+
+        // Buffered percent is the end of the range containing the current position
+        let buffered = 0, played = 0;
+        if ( valid ) {
+            for ( let i = 0; i < ranges.buffered.length; i++ ) {
+                const [ start, end ] = ranges.buffered[ i ];
+                if ( video.currentTime >= start && video.currentTime <= end ) {
+                    buffered = end / duration * 100;
+                    break;
+                }
+            }
+
+            // Played percent is the total coverage of all played ranges
+            for ( let i = 0; i < ranges.played.length; i++ ) {
+                played += ( ranges.played[ i ][ 1 ] - ranges.played[ i ][ 0 ] ) / duration * 100;
+            }
+        }
+
+        // Timeupdate fires often, only changes are rendered
+        const state = JSON.stringify( [ ranges, buffered, played, duration ] );
+        if ( state === this.#ranges ) return;
+        this.#ranges = state;
+
+        // Set css custom property percentage values
+        if ( this.context.config.get( 'progress.rangesprop' ) ) this.#set_ranges_cssprop( buffered, played );
+
+        // Render segments
+        const control = this.context.getDomRefs( 'progress.control', false );
+        if ( control && this.context.config.get( 'progress.segments' ) ) this.#set_segments( control, ranges, duration );
+
+        // Allow for custom renderers
+        this.context.dispatchEvent( 'video.progress.buffered', { ranges, buffered, played, duration } );
+    }
 }
@@ -0,0 +1,451 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception, requireUniqid } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin quality exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginQualityException extends Exception {}
+
+/**
+ * @typedef {Object} VideoSourceQuality - Extends the normal VideoSource
+ * @extends VideoSource
+ * @property {string} label - Rendition label, for example: HD
+ * @property {number} height - Rendition height, used as label fallback, for example: 720p
+ */
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'quality.toggle' : 'Quality',
+};
+
+/**
+ * Ui video plugin quality selector
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginQuality extends UiPlugin {
+
+    /**
+     * Auto mode
+     * @private
+     * @property
+     * @type {boolean}
+     */
+    #auto = false;
+
+    /**
+     * Video time position before switching
+     * @private
+     * @property
+     * @type {null|number}
+     */
+    #previous_currentTime = null;
+
+    /**
+     * Video paused state before switching
+     * @private
+     * @property
+     * @type {null|boolean}
+     */
+    #previous_paused = null;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'quality';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Quality options
+            // @type {Object}
+            quality : {
+
+                // Offer an auto entry that lets UiVideoPluginResponsive decide
+                // @type {boolean}
+                auto : true,
+
+                // Source index used in auto mode, the initially selected source if null
+                // @type {null|number}
+                autoIndex : null,
+
+                // Auto entry label
+                // @type {string}
+                autoLabel : 'Auto',
+
+                // Remember play state and position on switch
+                // @type {boolean}
+                rememberState : true,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Quality references
+                // @type {object}
+                quality : {
+
+                    // Menu toggle button
+                    // @type {string}
+                    toggle : '[data-video="ctrl:quality"]',
+
+                    // Menu container
+                    // @type {string}
+                    menu : '[data-video="menu:quality"]',
+
+                    // Current quality label
+                    // @type {string}
+                    label : '[data-video="label:quality"]',
+                },
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            qualityMenu : { global : false, classOn : 'ui-video--quality-menu' },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.before', () => { this.#event_source_before(); } ],
+            [ 'video.source.set', () => { this.#build_menu(); } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Start in auto mode if available
+        this.#auto = !!this.context.config.get( 'quality.auto' );
+
+        // Get references
+        const toggle = this.context.getDomRefs( 'quality.toggle', false );
+        const menu = this.context.getDomRefs( 'quality.menu', false );
+        if ( !menu ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::initComponent No quality menu available' );
+            return;
+        }
+        menu.setAttribute( 'role', 'menu' );
+
+        // Bind menu toggle
+        if ( toggle ) {
+            toggle.setAttribute( 'aria-haspopup', 'true' );
+            toggle.setAttribute( 'aria-controls', requireUniqid( menu, 'ui-video-quality-' ) );
+            this.context.setLabel( toggle, 'quality.toggle' );
+            toggle.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                if ( this.isMenuOpen() ) {
+                    this.closeMenu();
+                } else {
+                    this.openMenu();
+                }
+            }, { signal : this.context.signal } );
+            this.closeMenu();
+        }
+
+        /**
+         * Close menu on escape and return focus, arrow keys move between entries
+         * @private
+         * @param {KeyboardEvent} event - Keydown event
+         * @return {void}
+         */
+        menu.addEventListener( 'keydown', ( event ) => {
+            if ( event.key === 'Escape' ) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.closeMenu();
+                if ( toggle ) toggle.focus();
+            } else if ( [ 'ArrowDown', 'ArrowUp', 'Home', 'End' ].includes( event.key ) ) {
+
+                // Keep the keyboard plugin from seeking or changing the volume
+                event.preventDefault();
+                event.stopPropagation();
+                this.#focus_entry( event.key );
+            }
+        }, { signal : this.context.signal } );
+
+        // Build initial entries
+        this.#build_menu();
+    }
+
+    /**
+     * Plugin selectSource hook, prevents responsive updates while a quality was chosen manually
+     * @public
+     * @param {Object} data - Index and source
+     * @return {void}
+     */
+    selectSource( data ) {
+        if ( this.#auto ) return;
+        const property = this.context.config.get( 'responsive.propertyName' );
+        if ( property && data.source && data.source[ property ] ) {
+            data.source = Object.assign( {}, data.source );
+            delete data.source[ property ];
+        }
+    }
+
+    /**
+     * Is auto mode
+     * @public
+     * @return {boolean} - Auto mode state
+     */
+    isAuto() {
+        return this.#auto;
+    }
+
+    /**
+     * Get source label
+     * @public
+     * @param {VideoSource|VideoSourceQuality} source - Video source
+     * @param {number} index - Source index
+     * @return {string} - Label
+     */
+    getLabel( source, index ) {
+        if ( source.label ) return source.label;
+        if ( source.height ) return source.height + 'p';
+        return '#' + ( index + 1 );
+    }
+
+    /**
+     * Select quality by source index
+     * @public
+     * @param {number} index - Source index
+     * @return {void}
+     */
+    select( index ) {
+        const sources = this.context.config.get( 'sources' );
+        if ( typeof index !== 'number' || !sources[ index ] ) {
+            throw new UiVideoPluginQualityException( 'Source index #' + index + ' not found' );
+        }
+        this.#auto = false;
+        this.#switch( index );
+    }
+
+    /**
+     * Select auto mode
+     * @public
+     * @return {void}
+     */
+    auto() {
+        if ( !this.context.config.get( 'quality.auto' ) ) {
+            throw new UiVideoPluginQualityException( 'Auto mode is disabled, see option quality.auto' );
+        }
+        this.#auto = true;
+        let index = this.context.config.get( 'quality.autoIndex' );
+        if ( typeof index !== 'number' ) index = this.context.config.get( 'selected' );
+        if ( typeof index !== 'number' ) index = 0;
+        this.#switch( index );
+    }
+
+    /**
+     * Menu is open
+     * @public
+     * @return {boolean} - Open state
+     */
+    isMenuOpen() {
+        return this.context.states.is( 'qualityMenu' );
+    }
+
+    /**
+     * Open menu
+     * @public
+     * @return {void}
+     */
+    openMenu() {
+        const toggle = this.context.getDomRefs( 'quality.toggle', false );
+        const menu = this.context.getDomRefs( 'quality.menu', false );
+        if ( !menu ) return;
+        menu.hidden = false;
+        if ( toggle ) toggle.setAttribute( 'aria-expanded', 'true' );
+        this.context.states.set( 'qualityMenu' );
+        const checked = menu.querySelector( '[aria-checked="true"]' );
+        if ( checked ) checked.focus();
+        this.context.dispatchEvent( 'video.quality.open' );
+    }
+
+    /**
+     * Close menu
+     * @public
+     * @return {void}
+     */
+    closeMenu() {
+        const toggle = this.context.getDomRefs( 'quality.toggle', false );
+        const menu = this.context.getDomRefs( 'quality.menu', false );
+        if ( !menu ) return;
+        menu.hidden = true;
+        if ( toggle ) toggle.setAttribute( 'aria-expanded', 'false' );
+        if ( this.isMenuOpen() ) {
+            this.context.states.unset( 'qualityMenu' );
+            this.context.dispatchEvent( 'video.quality.close' );
+        }
+    }
+
+    /**
+     * Switch source and keep state
+     * @private
+     * @param {number} index - Source index
+     * @return {void}
+     */
+    #switch( index ) {
+
+        // Remember last time position and paused state
+        if ( this.context.config.get( 'quality.rememberState' ) && this.context.getCurrentIndex() !== null ) {
+            this.#previous_currentTime = this.context.video.currentTime;
+            this.#previous_paused = this.context.video.paused;
+        }
+        this.context.selectSource( index );
+        this.#previous_currentTime = null;
+        this.#previous_paused = null;
+
+        // Source might not have changed, the menu still needs to reflect the mode
+        this.#build_menu();
+        const auto = this.#auto;
+        this.context.dispatchEvent( 'video.quality.change', { index, auto } );
+    }
+
+    /**
+     * Event video.source.before
+     * @private
+     * @return {void}
+     */
+    #event_source_before() {
+
+        // Set previous time position and play state, only when switched by this plugin
+        if ( this.#previous_currentTime === null ) return;
+        const time = this.#previous_currentTime;
+        const paused = this.#previous_paused;
+        this.context.video.addEventListener( 'loadeddata', () => {
+            if ( paused === false ) {
+                const result = this.context.video.play();
+                if ( result instanceof Promise ) {
+                    result.catch( ( e ) => {
+                        if ( this.debug ) this.debug.warn( this.constructor.name + '::event_source_before Playback failed:', e );
+                    } );
+                }
+            }
+            this.context.video.currentTime = time;
+        }, { once : true, signal : this.context.signal } );
+    }
+
+    /**
+     * Build menu entries
+     * @private
+     * @return {void}
+     */
+    #build_menu() {
+        const menu = this.context.getDomRefs( 'quality.menu', false );
+        const label = this.context.getDomRefs( 'quality.label', false );
+        const sources = this.context.config.get( 'sources' );
+        const current = this.context.getCurrentIndex();
+        const current_label = current !== null && sources[ current ] ? this.getLabel( sources[ current ], current ) : '';
+
+        // Update label
+        if ( label ) {
+            label.innerText = this.#auto ? this.context.config.get( 'quality.autoLabel' ) : current_label;
+        }
+        if ( !menu ) return;
+
+        // Create entries
+        menu.innerHTML = '';
+        if ( this.context.config.get( 'quality.auto' ) ) {
+            menu.appendChild( this.#create_entry( this.context.config.get( 'quality.autoLabel' ), 'auto', this.#auto ) );
+        }
+        for ( let i = 0; i < sources.length; i++ ) {
+            menu.appendChild( this.#create_entry( this.getLabel( sources[ i ], i ), '' + i, !this.#auto && i === current ) );
+        }
+    }
+
+    /**
+     * Move focus between menu entries
+     * @private
+     * @param {string} key - ArrowDown, ArrowUp, Home or End
+     * @return {void}
+     */
+    #focus_entry( key ) {
+        const menu = this.context.getDomRefs( 'quality.menu', false );
+        const entries = [ ...menu.querySelectorAll( '[data-quality]' ) ];
+        if ( !entries.length ) return;
+        let index = entries.indexOf( document.activeElement );
+        if ( key === 'Home' || key === 'ArrowDown' && index === entries.length - 1 ) {
+            index = 0;
+        } else if ( key === 'End' || key === 'ArrowUp' && index <= 0 ) {
+            index = entries.length - 1;
+        } else {
+            index += key === 'ArrowDown' ? 1 : -1;
+        }
+        entries[ index ].focus();
+    }
+
+    /**
+     * Create menu entry
+     * @private
+     * @param {string} text - Entry label
+     * @param {string} value - Source index or auto
+     * @param {boolean} checked - Active entry
+     * @return {HTMLButtonElement} - Entry button
+     */
+    #create_entry( text, value, checked ) {
+        const entry = document.createElement( 'button' );
+        entry.type = 'button';
+        entry.classList.add( 'ui-video__menu-item' );
+        entry.setAttribute( 'role', 'menuitemradio' );
+        entry.setAttribute( 'aria-checked', checked ? 'true' : 'false' );
+        entry.setAttribute( 'data-quality', value );
+        entry.innerText = text;
+        entry.addEventListener( 'click', ( event ) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.closeMenu();
+            if ( value === 'auto' ) {
+                this.auto();
+            } else {
+                this.select( parseInt( value ) );
+            }
+            const toggle = this.context.getDomRefs( 'quality.toggle', false );
+            if ( toggle ) toggle.focus();
+        }, { signal : this.context.signal } );
+        return entry;
+    }
+}
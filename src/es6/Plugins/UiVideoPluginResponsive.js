@@ -38,6 +38,14 @@ export class UiVideoPluginResponsive extends UiPlugin {
      */
     #previous_paused = null;
 
+    /**
+     * Media query listeners
+     * @private
+     * @property
+     * @type {Array<Array<string,Function>>}
+     */
+    #media_listeners = [];
+
     /**
      * Plugin name getter
      * @public
@@ -113,15 +121,36 @@ export class UiVideoPluginResponsive extends UiPlugin {
             const queries = Object.keys( sources[ i ][ config.propertyName ] );
             for ( let j = 0; j < queries.length; j++ ) {
 
-                // Add query listener to update source
-                config.media.addEventListener( queries[ j ], () => {
+                /**
+                 * Query listener to update source
+                 * @private
+                 * @return {void}
+                 */
+                const listener = () => {
                     if ( this.debug ) this.debug.log( this.constructor.name + '::media_event', queries[ j ] );
                     this.context.selectSource( this.context.getCurrentIndex() );
-                }, false, true );
+                };
+                config.media.addEventListener( queries[ j ], listener, false, true );
+                this.#media_listeners.push( [ queries[ j ], listener ] );
             }
         }
     }
 
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+
+        // Remove media query listeners
+        const media = this.context.config.get( 'responsive.media' );
+        for ( let i = 0; i < this.#media_listeners.length; i++ ) {
+            media.removeEventListener( ...this.#media_listeners[ i ] );
+        }
+        this.#media_listeners = [];
+    }
+
     /**
      * Event video.source.update
      * @private
@@ -178,7 +207,7 @@ export class UiVideoPluginResponsive extends UiPlugin {
             this.context.video.addEventListener( 'loadeddata', () => {
                 if ( this.#previous_paused === false ) this.context.video.play();
                 if ( this.#previous_currentTime !== null ) this.context.video.currentTime = this.#previous_currentTime;
-            }, { once : true } );
+            }, { once : true, signal : this.context.signal } );
         }
     }
 }
@@ -0,0 +1,438 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin resume exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginResumeException extends Exception {}
+
+/**
+ * @typedef {Object} VideoResumeStorage - Storage adapter
+ * @property {Function} get - Receives the key, returns the stored time or null
+ * @property {Function} set - Receives the key and time
+ * @property {Function} remove - Receives the key
+ */
+
+/**
+ * Local storage adapter, fails silently if storage is not available
+ * @type {VideoResumeStorage}
+ */
+const localStorageAdapter = {
+
+    /**
+     * Get time
+     * @param {string} key - Storage key
+     * @return {null|number} - Stored time
+     */
+    get( key ) {
+        try {
+            const value = parseFloat( window.localStorage.getItem( key ) );
+            return Number.isNaN( value ) ? null : value;
+        } catch ( e ) {
+            return null;
+        }
+    },
+
+    /**
+     * Set time
+     * @param {string} key - Storage key
+     * @param {number} time - Time in seconds
+     * @return {boolean} - False if storage is full or not available
+     */
+    set( key, time ) {
+        try {
+            window.localStorage.setItem( key, '' + time );
+            return true;
+        } catch ( e ) {
+            return false;
+        }
+    },
+
+    /**
+     * Remove time
+     * @param {string} key - Storage key
+     * @return {boolean} - False if storage is not available
+     */
+    remove( key ) {
+        try {
+            window.localStorage.removeItem( key );
+            return true;
+        } catch ( e ) {
+            return false;
+        }
+    },
+};
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'resume.button' : 'Resume from :time',
+};
+
+/**
+ * Ui video plugin resume playback
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginResume extends UiPlugin {
+
+    /**
+     * Current storage key
+     * @private
+     * @property
+     * @type {null|string}
+     */
+    #key = null;
+
+    /**
+     * Sources list of the current key, renditions selected from it share the key
+     * @private
+     * @property
+     * @type {null|Array<VideoSource>}
+     */
+    #sources = null;
+
+    /**
+     * Offered resume time
+     * @private
+     * @property
+     * @type {null|number}
+     */
+    #offered = null;
+
+    /**
+     * Last save timestamp
+     * @private
+     * @property
+     * @type {number}
+     */
+    #last_save = 0;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'resume';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Resume options
+            // @type {Object}
+            resume : {
+
+                // Resume automatically, set false to offer a resume control
+                // @type {boolean}
+                auto : true,
+
+                // Storage adapter, uses localStorage if null
+                // @type {null|VideoResumeStorage}
+                storage : null,
+
+                // Storage key prefix
+                // @type {string}
+                prefix : 'ui-video-resume:',
+
+                // Source id property, the url of the first source in the list is used if the property is not set
+                // @type {string}
+                propertyName : 'id',
+
+                // Min position in seconds to store
+                // @type {number}
+                min : 10,
+
+                // Do not store positions closer to the end than given seconds
+                // @type {number}
+                remaining : 15,
+
+                // Min seconds between saves while playing
+                // @type {number}
+                interval : 5,
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Resume references
+                // @type {object}
+                resume : {
+
+                    // Resume offer button
+                    // @type {string}
+                    button : '[data-video="ctrl:resume"]',
+
+                    // Resume time label
+                    // @type {string}
+                    label : '[data-video="label:resume"]',
+                },
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            resumeOffer : { global : false, classOn : 'ui-video--resume-offer' },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.update', () => { this.save( true ); } ],
+            [ 'video.source.set', ( event ) => { this.#event_source_set( event ); } ],
+            [ 'video.source.unset', () => {
+                this.dismiss();
+                this.#key = null;
+                this.#sources = null;
+            } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Validate storage
+        const storage = this.getStorage();
+        if ( typeof storage.get !== 'function' || typeof storage.set !== 'function' || typeof storage.remove !== 'function' ) {
+            throw new UiVideoPluginResumeException( 'Option resume.storage must implement get, set and remove' );
+        }
+
+        // Bind video events
+        this.context.video.addEventListener( 'timeupdate', () => { this.save(); }, { signal : this.context.signal } );
+        this.context.video.addEventListener( 'pause', () => { this.save( true ); }, { signal : this.context.signal } );
+        this.context.video.addEventListener( 'ended', () => {
+            if ( !this.context.states.is( 'ad' ) ) this.clear();
+        }, { signal : this.context.signal } );
+
+        // Save when leaving the page
+        window.addEventListener( 'pagehide', () => { this.save( true ); }, { signal : this.context.signal } );
+
+        // Bind resume button
+        const button = this.context.getDomRefs( 'resume.button', false );
+        if ( button ) {
+            this.context.constructor.hideControl( button, true );
+            button.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.resume();
+            }, { signal : this.context.signal } );
+        }
+    }
+
+    /**
+     * Get storage adapter
+     * @public
+     * @return {VideoResumeStorage} - Storage adapter
+     */
+    getStorage() {
+        return this.context.config.get( 'resume.storage' ) || localStorageAdapter;
+    }
+
+    /**
+     * Get current storage key
+     * @public
+     * @return {null|string} - Storage key
+     */
+    getKey() {
+        return this.#key;
+    }
+
+    /**
+     * Get stored time for current source
+     * @public
+     * @return {null|number} - Stored time
+     */
+    getStored() {
+        if ( !this.#key ) return null;
+        return this.getStorage().get( this.#key );
+    }
+
+    /**
+     * Save current position
+     * @public
+     * @param {boolean} force - Ignore the save interval
+     * @return {void}
+     */
+    save( force = false ) {
+
+        // Ads are played through the same video
+        if ( !this.#key || this.context.states.is( 'ad' ) ) return;
+
+        // No position without metadata, the pause event of a source change arrives after the new source was loaded
+        if ( this.context.video.readyState < 1 ) return;
+        const time = this.context.video.currentTime;
+        const below = time < this.context.config.get( 'resume.min' );
+
+        // Keep the stored position while an offer is pending, playing on from the start dismisses it
+        if ( this.#offered !== null ) {
+            if ( below ) return;
+            this.dismiss();
+        }
+        const now = Date.now();
+        if ( !force && now - this.#last_save < this.context.config.get( 'resume.interval' ) * 1000 ) return;
+        this.#last_save = now;
+
+        // Only store positions within the thresholds
+        const duration = this.context.video.duration;
+        const near_end = Number.isFinite( duration ) && duration - time < this.context.config.get( 'resume.remaining' );
+        if ( below || near_end ) {
+            if ( this.getStored() !== null ) this.clear();
+            return;
+        }
+        const key = this.#key;
+        this.getStorage().set( key, time );
+        this.context.dispatchEvent( 'video.resume.save', { key, time } );
+    }
+
+    /**
+     * Clear stored position for current source
+     * @public
+     * @return {void}
+     */
+    clear() {
+        if ( !this.#key ) return;
+        this.dismiss();
+        this.getStorage().remove( this.#key );
+        this.context.dispatchEvent( 'video.resume.clear', { key : this.#key } );
+    }
+
+    /**
+     * Resume offered position
+     * @public
+     * @return {void}
+     */
+    resume() {
+        const time = this.#offered !== null ? this.#offered : this.getStored();
+        this.dismiss();
+        if ( time === null ) return;
+        this.#restore( time );
+    }
+
+    /**
+     * Dismiss resume offer
+     * @public
+     * @return {void}
+     */
+    dismiss() {
+        if ( this.#offered === null ) return;
+        this.#offered = null;
+        this.context.states.unset( 'resumeOffer' );
+        const button = this.context.getDomRefs( 'resume.button', false );
+        if ( button ) this.context.constructor.hideControl( button, true );
+        this.context.dispatchEvent( 'video.resume.dismiss', { key : this.#key } );
+    }
+
+    /**
+     * Event video.source.set
+     * @private
+     * @param {Event} event - Source set event
+     * @return {void}
+     */
+    #event_source_set( event ) {
+        if ( this.context.states.is( 'ad' ) ) return;
+
+        // Quality, responsive or error fallback selected another rendition, the quality plugin keeps the position
+        const sources = this.context.config.get( 'sources' );
+        const selected = event.detail.setter === this.context.constructor.name + '::selectSource';
+        if ( selected && this.#key && sources === this.#sources ) return;
+        this.#sources = selected ? sources : null;
+        this.dismiss();
+
+        // Renditions share the position stored for the first source in the list
+        const property = this.context.config.get( 'resume.propertyName' );
+        const source = event.detail.source;
+        const first = selected && sources[ 0 ] ? sources[ 0 ] : source;
+        const id = source[ property ] || first[ property ] || first.src;
+        this.#key = this.context.config.get( 'resume.prefix' ) + id;
+        this.#last_save = 0;
+
+        // Nothing stored
+        const time = this.getStored();
+        if ( time === null || time < this.context.config.get( 'resume.min' ) ) return;
+
+        // Resume automatically
+        if ( this.context.config.get( 'resume.auto' ) ) {
+            this.#restore( time );
+            return;
+        }
+
+        // Offer resume
+        const key = this.#key;
+        this.#offered = time;
+        this.context.states.set( 'resumeOffer' );
+        const button = this.context.getDomRefs( 'resume.button', false );
+        const label = this.context.getDomRefs( 'resume.label', false );
+        const time_plugin = this.context.plugins?.get( 'time' );
+        const formatted = time_plugin ? time_plugin.format( time ) : '' + Math.floor( time );
+        if ( button ) {
+            this.context.setLabel( button, 'resume.button', { time : formatted } );
+            this.context.constructor.showControl( button, true );
+        }
+        if ( label ) label.innerText = formatted;
+        this.context.dispatchEvent( 'video.resume.offer', { key, time } );
+    }
+
+    /**
+     * Restore position
+     * @private
+     * @param {number} time - Time in seconds
+     * @return {void}
+     */
+    #restore( time ) {
+        const key = this.#key;
+
+        /**
+         * Seek once metadata is available
+         * @private
+         * @return {void}
+         */
+        const seek = () => {
+            if ( key !== this.#key ) return;
+            this.context.video.currentTime = time;
+            this.context.dispatchEvent( 'video.resume.restore', { key, time } );
+        };
+        if ( this.context.video.readyState >= 1 ) {
+            seek();
+        } else {
+            this.context.video.addEventListener( 'loadedmetadata', seek, { once : true, signal : this.context.signal } );
+        }
+    }
+}
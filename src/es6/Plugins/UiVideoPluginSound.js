@@ -11,6 +11,16 @@ import {Exception, round, ucfirst} from '@squirrel-forge/ui-util';
  */
 class UiVideoPluginSoundException extends Exception {}
 
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'sound.on' : 'Mute',
+    'sound.off' : 'Unmute',
+    'sound.volume' : 'Volume',
+};
+
 /**
  * Ui video plugin sound controls
  * @class
@@ -56,6 +66,16 @@ export class UiVideoPluginSound extends UiPlugin {
         return 'sound';
     }
 
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
     /**
      * Constructor
      * @constructor
@@ -169,6 +189,9 @@ export class UiVideoPluginSound extends UiPlugin {
     initComponent( context ) {
         super.initComponent( context );
 
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
         // Validate options
         const smin = this.context.config.get( 'sound.mutedmax' );
         const vmax = this.context.config.get( 'sound.volumemin' );
@@ -244,6 +267,7 @@ export class UiVideoPluginSound extends UiPlugin {
 
         // Bind volume control
         if ( volume ) {
+            this.context.setLabel( volume, 'sound.volume' );
             this.#bind_volume( volume );
         } else if ( this.debug ) {
             this.debug.warn( this.constructor.name + '::bind No volume control available' );
@@ -288,7 +312,7 @@ export class UiVideoPluginSound extends UiPlugin {
 
             // Dispatch sound state event
             this.context.dispatchEvent( 'video.sound.' + name );
-        });
+        }, { signal : this.context.signal } );
     }
 
     /**
@@ -313,7 +337,7 @@ export class UiVideoPluginSound extends UiPlugin {
                 this.context.video.muted = false;
                 this.#state_unmute( mute, unmute );
             }
-        } );
+        }, { signal : this.context.signal } );
     }
 
     /**
@@ -366,20 +390,22 @@ export class UiVideoPluginSound extends UiPlugin {
      * @return {void}
      */
     #bind_toggle( mute, unmute, volume ) {
+        this.context.setLabel( mute, 'sound.on' );
+        this.context.setLabel( unmute, 'sound.off' );
         mute.addEventListener( 'click', ( event ) => {
             event.preventDefault();
             this.#sound_mute( true );
             if ( volume ) volume.value = 0;
             mute.blur();
             if ( this.context.config.get( 'controls.refocus' ) ) unmute.focus();
-        } );
+        }, { signal : this.context.signal } );
         unmute.addEventListener( 'click', ( event ) => {
             event.preventDefault();
             this.#sound_unmute();
             if ( volume ) volume.value = this.context.video.volume * 100;
             unmute.blur();
             if ( this.context.config.get( 'controls.refocus' ) ) mute.focus();
-        } );
+        }, { signal : this.context.signal } );
 
         // Initial state
         this.#match_current_state( mute, unmute );
@@ -403,7 +429,7 @@ export class UiVideoPluginSound extends UiPlugin {
             if ( this.context.config.get( 'sound.lastvolume' ) ) {
                 this.#last_volume = this.context.video.volume * 100;
             }
-        });
+        }, { signal : this.context.signal } );
 
         /**
          * Set video position while dragging
@@ -412,7 +438,7 @@ export class UiVideoPluginSound extends UiPlugin {
          */
         volume.addEventListener( 'input', () => {
             this.context.video.volume = parseFloat( volume.value ) / 100;
-        });
+        }, { signal : this.context.signal } );
 
         // Set initial volume
         volume.value = this.context.video.muted ? 0 : this.context.video.volume * 100;
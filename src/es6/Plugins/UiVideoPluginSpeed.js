@@ -0,0 +1,296 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin speed exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginSpeedException extends Exception {}
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'speed.input' : 'Playback speed',
+};
+
+/**
+ * Ui video plugin playback speed controls
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginSpeed extends UiPlugin {
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'speed';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Speed control options
+            // @type {Object}
+            speed : {
+
+                // Selectable rates
+                // @type {Array<number>}
+                rates : [ 0.5, 0.75, 1, 1.25, 1.5, 2 ],
+
+                // Current rate, kept across source changes
+                // @type {number}
+                rate : 1,
+
+                // Min allowed rate
+                // @type {number}
+                min : 0.25,
+
+                // Max allowed rate
+                // @type {number}
+                max : 4,
+
+                // Keep audio pitch when changing the rate
+                // @type {boolean}
+                preservePitch : true,
+
+                // Add css custom property with the current rate
+                // @type {boolean}
+                cssprop : true,
+
+                // Label suffix
+                // @type {string}
+                suffix : 'x',
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Speed control references
+                // @type {object}
+                speed : {
+
+                    // Rate select or cycling button
+                    // @type {string}
+                    input : '[data-video="ctrl:speed"]',
+
+                    // Rate label
+                    // @type {string}
+                    label : '[data-video="label:speed"]',
+                },
+            },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.set', () => { this.#apply_rate(); } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Validate options
+        const rates = this.context.config.get( 'speed.rates' );
+        if ( !( rates instanceof Array ) || !rates.length ) {
+            throw new UiVideoPluginSpeedException( 'Option speed.rates must be a non empty Array' );
+        }
+        for ( let i = 0; i < rates.length; i++ ) this.#validate( rates[ i ] );
+        this.#validate( this.context.config.get( 'speed.rate' ) );
+
+        /**
+         * Update displays on rate change
+         * @private
+         * @return {void}
+         */
+        this.context.video.addEventListener( 'ratechange', () => { this.#event_ratechange(); }, { signal : this.context.signal } );
+
+        // Bind controls
+        const input = this.context.getDomRefs( 'speed.input', false );
+        if ( input ) this.context.setLabel( input, 'speed.input' );
+        if ( input instanceof HTMLSelectElement ) {
+            this.#bind_select( input );
+        } else if ( input ) {
+            this.#bind_cycle( input );
+        } else if ( this.debug ) {
+            this.debug.warn( this.constructor.name + '::initComponent No speed control available' );
+        }
+
+        // Apply initial rate
+        this.#apply_rate();
+        this.#event_ratechange();
+    }
+
+    /**
+     * Get/set playback rate
+     * @public
+     * @param {null|number} rate - Playback rate
+     * @return {number|void} - Returns current rate without an argument
+     */
+    rate( rate = null ) {
+
+        // Return current rate if no argument is set
+        if ( rate === null ) return this.context.config.get( 'speed.rate' );
+
+        // Require valid rate value
+        this.#validate( rate );
+
+        // Set new rate
+        this.context.config.set( 'speed.rate', rate );
+        this.#apply_rate();
+    }
+
+    /**
+     * Set next rate from the rates list
+     * @public
+     * @return {void}
+     */
+    cycle() {
+        const rates = this.context.config.get( 'speed.rates' );
+        const index = rates.indexOf( this.rate() );
+        this.rate( rates[ index + 1 < rates.length ? index + 1 : 0 ] );
+    }
+
+    /**
+     * Validate rate value
+     * @private
+     * @param {number} rate - Playback rate
+     * @return {void}
+     */
+    #validate( rate ) {
+        const min = this.context.config.get( 'speed.min' );
+        const max = this.context.config.get( 'speed.max' );
+        if ( typeof rate !== 'number' || Number.isNaN( rate ) || rate < min || rate > max ) {
+            throw new UiVideoPluginSpeedException( 'Invalid rate value, must be a number from ' + min + ' to ' + max );
+        }
+    }
+
+    /**
+     * Apply rate and pitch setting to the video
+     * @private
+     * @return {void}
+     */
+    #apply_rate() {
+        const video = this.context.video;
+        const rate = this.context.config.get( 'speed.rate' );
+        const pitch = this.context.config.get( 'speed.preservePitch' );
+        if ( 'preservesPitch' in video ) {
+            video.preservesPitch = pitch;
+        } else if ( 'mozPreservesPitch' in video ) {
+            video.mozPreservesPitch = pitch;
+        } else if ( 'webkitPreservesPitch' in video ) {
+            video.webkitPreservesPitch = pitch;
+        }
+
+        // The default rate survives a load() call
+        video.defaultPlaybackRate = rate;
+        video.playbackRate = rate;
+    }
+
+    /**
+     * Event ratechange
+     * @private
+     * @return {void}
+     */
+    #event_ratechange() {
+        const rate = this.context.video.playbackRate;
+
+        // Keep config in sync with rate changes from other sources
+        if ( rate !== this.context.config.get( 'speed.rate' ) ) {
+            try {
+                this.#validate( rate );
+                this.context.config.set( 'speed.rate', rate );
+            } catch ( e ) {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::event_ratechange Ignored invalid rate', rate );
+            }
+        }
+
+        // Update css property, label and input
+        if ( this.context.config.get( 'speed.cssprop' ) ) {
+            this.context.dom.style.setProperty( '--ui-video-rate', rate );
+        }
+        const label = this.context.getDomRefs( 'speed.label', false );
+        if ( label ) label.innerText = rate + this.context.config.get( 'speed.suffix' );
+        const input = this.context.getDomRefs( 'speed.input', false );
+        if ( input instanceof HTMLSelectElement ) input.value = '' + rate;
+
+        // Allow for any actions after the rate changed
+        this.context.dispatchEvent( 'video.speed.change', { rate } );
+    }
+
+    /**
+     * Bind rate select
+     * @private
+     * @param {HTMLSelectElement} select - Select element
+     * @return {void}
+     */
+    #bind_select( select ) {
+
+        // Build options if none are defined
+        if ( !select.options.length ) {
+            const rates = this.context.config.get( 'speed.rates' );
+            const suffix = this.context.config.get( 'speed.suffix' );
+            for ( let i = 0; i < rates.length; i++ ) {
+                const option = document.createElement( 'option' );
+                option.value = '' + rates[ i ];
+                option.innerText = rates[ i ] + suffix;
+                select.appendChild( option );
+            }
+        }
+        select.addEventListener( 'change', () => {
+            this.rate( parseFloat( select.value ) );
+        }, { signal : this.context.signal } );
+    }
+
+    /**
+     * Bind cycling button
+     * @private
+     * @param {HTMLElement} button - Button element
+     * @return {void}
+     */
+    #bind_cycle( button ) {
+        button.addEventListener( 'click', ( event ) => {
+            event.preventDefault();
+            this.cycle();
+        }, { signal : this.context.signal } );
+    }
+}
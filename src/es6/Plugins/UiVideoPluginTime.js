@@ -0,0 +1,235 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+import { Exception, leadingZeros } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video plugin time exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoPluginTimeException extends Exception {}
+
+/**
+ * Default plugin messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'time.toggle' : 'Toggle remaining time, :time',
+};
+
+/**
+ * Ui video plugin time display
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginTime extends UiPlugin {
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'time';
+    }
+
+    /**
+     * Plugin default messages getter
+     * @public
+     * @static
+     * @return {Object} - Default messages by key
+     */
+    static get pluginMessages() {
+        return Object.assign( {}, defaultMessages );
+    }
+
+    /**
+     * Format time
+     * @public
+     * @static
+     * @param {number} seconds - Time in seconds
+     * @param {string} format - Format: m:ss, h:mm:ss or auto
+     * @param {null|number} reference - Reference time for auto format, usually the duration
+     * @return {null|string} - Formatted time, null if the time is unknown
+     */
+    static formatTime( seconds, format = 'auto', reference = null ) {
+        if ( typeof seconds !== 'number' || !Number.isFinite( seconds ) ) return null;
+        seconds = Math.floor( Math.max( 0, seconds ) );
+        if ( format === 'auto' ) {
+            const compare = typeof reference === 'number' && Number.isFinite( reference ) ? Math.max( reference, seconds ) : seconds;
+            format = compare >= 3600 ? 'h:mm:ss' : 'm:ss';
+        }
+        const secs = seconds % 60;
+        if ( format === 'h:mm:ss' ) {
+            const hours = Math.floor( seconds / 3600 );
+            const minutes = Math.floor( seconds % 3600 / 60 );
+            return hours + ':' + leadingZeros( minutes ) + ':' + leadingZeros( secs );
+        } else if ( format === 'm:ss' ) {
+            return Math.floor( seconds / 60 ) + ':' + leadingZeros( secs );
+        }
+        throw new UiVideoPluginTimeException( 'Invalid time format, must be one of: m:ss, h:mm:ss, auto' );
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Time display options
+            // @type {Object}
+            time : {
+
+                // Time format: m:ss, h:mm:ss or auto
+                // @type {string}
+                format : 'auto',
+
+                // Toggle display shows the remaining time
+                // @type {boolean}
+                remaining : false,
+
+                // Remaining time prefix
+                // @type {string}
+                prefix : '-',
+
+                // Text for unknown or infinite times
+                // @type {string}
+                unknown : '--:--',
+            },
+
+            // Dom references
+            // @type {Object}
+            dom : {
+
+                // Time display references
+                // @type {object}
+                time : {
+
+                    // Current time label
+                    // @type {string}
+                    current : '[data-video="label:time-current"]',
+
+                    // Duration label
+                    // @type {string}
+                    duration : '[data-video="label:time-duration"]',
+
+                    // Remaining time label
+                    // @type {string}
+                    remaining : '[data-video="label:time-remaining"]',
+
+                    // Elapsed/remaining toggle display
+                    // @type {string}
+                    toggle : '[data-video="ctrl:time"]',
+                },
+            },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.set', () => { this.#update(); } ],
+            [ 'video.source.unset', () => { this.#update( false ); } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Register default messages
+        this.context.registerMessages( defaultMessages );
+
+        // Validate format
+        this.constructor.formatTime( 0, this.context.config.get( 'time.format' ) );
+
+        // Bind video events
+        this.context.video.addEventListener( 'timeupdate', () => { this.#update(); }, { signal : this.context.signal } );
+        this.context.video.addEventListener( 'durationchange', () => { this.#update(); }, { signal : this.context.signal } );
+
+        // Bind elapsed/remaining toggle
+        const toggle = this.context.getDomRefs( 'time.toggle', false );
+        if ( toggle ) {
+            toggle.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                this.toggle();
+            }, { signal : this.context.signal } );
+        }
+
+        // Initial display
+        this.#update( false );
+    }
+
+    /**
+     * Toggle elapsed/remaining display
+     * @public
+     * @param {null|boolean} remaining - Show remaining time, toggles if null
+     * @return {void}
+     */
+    toggle( remaining = null ) {
+        if ( remaining === null ) remaining = !this.context.config.get( 'time.remaining' );
+        this.context.config.set( 'time.remaining', !!remaining );
+        this.#update( this.context.getCurrentSource() !== null );
+        this.context.dispatchEvent( 'video.time.toggle', { remaining : !!remaining } );
+    }
+
+    /**
+     * Format time with the configured format
+     * @public
+     * @param {number} seconds - Time in seconds
+     * @return {string} - Formatted time or unknown text
+     */
+    format( seconds ) {
+        const result = this.constructor.formatTime( seconds, this.context.config.get( 'time.format' ), this.context.video.duration );
+        return result === null ? this.context.config.get( 'time.unknown' ) : result;
+    }
+
+    /**
+     * Update labels
+     * @private
+     * @param {boolean} available - If a source is available
+     * @return {void}
+     */
+    #update( available = true ) {
+        const current = this.context.getDomRefs( 'time.current', false );
+        const duration = this.context.getDomRefs( 'time.duration', false );
+        const remaining = this.context.getDomRefs( 'time.remaining', false );
+        const toggle = this.context.getDomRefs( 'time.toggle', false );
+        if ( !current && !duration && !remaining && !toggle ) return;
+
+        // Resolve times, remaining is unknown without a finite duration
+        const time = available ? this.context.video.currentTime : 0;
+        const total = available ? this.context.video.duration : NaN;
+        const left = Number.isFinite( total ) ? total - time : NaN;
+        const prefix = this.context.config.get( 'time.prefix' );
+
+        // Set labels
+        if ( current ) current.innerText = this.format( time );
+        if ( duration ) duration.innerText = this.format( total );
+        if ( remaining ) remaining.innerText = Number.isFinite( left ) ? prefix + this.format( left ) : this.format( left );
+        if ( toggle ) {
+            const show_remaining = this.context.config.get( 'time.remaining' ) && Number.isFinite( left );
+            const text = show_remaining ? prefix + this.format( left ) : this.format( time );
+
+            // The label replaces the displayed time for screen readers, it must contain it
+            if ( toggle.textContent !== text || !toggle.hasAttribute( 'aria-label' ) ) {
+                toggle.innerText = text;
+                this.context.setLabel( toggle, 'time.toggle', { time : text } );
+            }
+            if ( toggle instanceof HTMLButtonElement ) toggle.setAttribute( 'aria-pressed', show_remaining ? 'true' : 'false' );
+        }
+    }
+}
@@ -0,0 +1,324 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+
+/**
+ * @typedef {Object} VideoTouchStart - Touch start data
+ * @property {number} x - Client x position
+ * @property {number} y - Client y position
+ * @property {number} volume - Volume at start, 0-100
+ * @property {boolean} swipe - Volume swipe active
+ * @property {boolean} moved - Moved beyond tolerance
+ */
+
+/**
+ * Ui video plugin touch gestures
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginTouch extends UiPlugin {
+
+    /**
+     * Current touch
+     * @private
+     * @property
+     * @type {null|VideoTouchStart}
+     */
+    #touch = null;
+
+    /**
+     * Last tap zone, waiting for a double tap
+     * @private
+     * @property
+     * @type {null|string}
+     */
+    #last_zone = null;
+
+    /**
+     * Timeouts
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #timeouts = { tap : null, ripple : null };
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'touch';
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Touch options
+            // @type {Object}
+            touch : {
+
+                // Touch gestures enabled
+                // @type {boolean}
+                enabled : true,
+
+                // Double tap delay in ms
+                // @type {number}
+                frequency : 300,
+
+                // Max movement in px for a tap
+                // @type {number}
+                tolerance : 10,
+
+                // Double tap on the left or right third seeks by seconds, set 0 to disable
+                // @type {number}
+                seek : 10,
+
+                // Seek ripple state duration in ms
+                // @type {number}
+                ripple : 600,
+
+                // Vertical swipe changes volume, requires UiVideoPluginSound
+                // @type {boolean}
+                swipe : false,
+
+                // Swipe distance in px for the full volume range
+                // @type {number}
+                range : 200,
+
+                // Ignore touches on elements matching the selector
+                // @type {string}
+                ignore : 'button, input, select, textarea, a, [data-video="ctrl:prevent"]',
+            },
+        };
+
+        // Extend component states
+        this.extendStates = {
+            touchBackward : { global : false, classOn : 'ui-video--touch-backward', unsets : [ 'touchForward' ] },
+            touchForward : { global : false, classOn : 'ui-video--touch-forward', unsets : [ 'touchBackward' ] },
+            touchVolume : { global : false, classOn : 'ui-video--touch-volume' },
+        };
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+        const controls = this.context.getDomRefs( 'controls', false );
+        if ( !controls ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::initComponent No controls available' );
+            return;
+        }
+
+        // Taps toggle the controls instead of the component touch handling
+        if ( this.context.config.get( 'touch.enabled' ) ) this.context.config.set( 'controls.touch', false );
+
+        // Bind touch events, move and end must be able to prevent scrolling and emulated clicks
+        const signal = this.context.signal;
+        controls.addEventListener( 'touchstart', ( event ) => { this.#event_touchstart( event ); }, { passive : true, signal : signal } );
+        controls.addEventListener( 'touchmove', ( event ) => { this.#event_touchmove( event ); }, { passive : false, signal : signal } );
+        controls.addEventListener( 'touchend', ( event ) => { this.#event_touchend( event ); }, { passive : false, signal : signal } );
+        controls.addEventListener( 'touchcancel', () => { this.#touch = null; }, { signal } );
+    }
+
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+        const timeouts = Object.keys( this.#timeouts );
+        for ( let i = 0; i < timeouts.length; i++ ) {
+            window.clearTimeout( this.#timeouts[ timeouts[ i ] ] );
+            this.#timeouts[ timeouts[ i ] ] = null;
+        }
+        this.#touch = null;
+        this.#last_zone = null;
+    }
+
+    /**
+     * Toggle controls visibility
+     * @public
+     * @param {null|boolean} show - Show controls, toggles if null
+     * @return {void}
+     */
+    toggleControls( show = null ) {
+        if ( show === null ) show = !this.context.states.is( 'controlsShow' );
+        if ( show ) {
+            this.context.showControls();
+        } else {
+            this.context.hideControls();
+        }
+    }
+
+    /**
+     * Seek by configured amount
+     * @public
+     * @param {number} direction - Seek direction: -1 or 1
+     * @return {void}
+     */
+    seek( direction ) {
+        const video = this.context.video;
+        const offset = this.context.config.get( 'touch.seek' ) * ( direction < 0 ? -1 : 1 );
+        const duration = video.duration;
+        let time = Math.max( 0, video.currentTime + offset );
+        if ( Number.isFinite( duration ) ) time = Math.min( duration, time );
+        video.currentTime = time;
+    }
+
+    /**
+     * Get tap zone
+     * @private
+     * @param {number} x - Client x position
+     * @return {string} - Zone: backward, center or forward
+     */
+    #get_zone( x ) {
+        const rect = this.context.getDomRefs( 'controls', false ).getBoundingClientRect();
+        const position = x - rect.left;
+        if ( position < rect.width / 3 ) return 'backward';
+        if ( position > rect.width / 3 * 2 ) return 'forward';
+        return 'center';
+    }
+
+    /**
+     * Event touchstart
+     * @private
+     * @param {TouchEvent} event - Touch event
+     * @return {void}
+     */
+    #event_touchstart( event ) {
+        this.#touch = null;
+        if ( !this.context.config.get( 'touch.enabled' ) || event.touches.length !== 1 ) return;
+
+        // Leave interactive elements to their own handlers
+        const ignore = this.context.config.get( 'touch.ignore' );
+        if ( ignore && event.target instanceof Element && event.target.closest( ignore ) ) return;
+        const touch = event.touches[ 0 ];
+        const sound = this.context.plugins?.get( 'sound' );
+        this.#touch = {
+            x : touch.clientX,
+            y : touch.clientY,
+            volume : sound ? sound.volume() : this.context.video.volume * 100,
+            swipe : false,
+            moved : false,
+        };
+    }
+
+    /**
+     * Event touchmove
+     * @private
+     * @param {TouchEvent} event - Touch event
+     * @return {void}
+     */
+    #event_touchmove( event ) {
+        if ( !this.#touch || event.touches.length !== 1 ) return;
+        const touch = event.touches[ 0 ];
+        const dx = touch.clientX - this.#touch.x;
+        const dy = touch.clientY - this.#touch.y;
+        const tolerance = this.context.config.get( 'touch.tolerance' );
+        if ( Math.abs( dx ) > tolerance || Math.abs( dy ) > tolerance ) this.#touch.moved = true;
+
+        // Start volume swipe on vertical movement only
+        if ( !this.#touch.swipe ) {
+            if ( !this.#touch.moved || Math.abs( dy ) <= Math.abs( dx ) || !this.context.config.get( 'touch.swipe' ) ) return;
+            if ( !this.context.plugins?.get( 'sound' ) ) {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::event_touchmove Volume swipe requires UiVideoPluginSound' );
+                return;
+            }
+            this.#touch.swipe = true;
+            this.context.states.set( 'touchVolume' );
+        }
+
+        // Prevent scrolling and set volume, swiping up is louder
+        event.preventDefault();
+        const sound = this.context.plugins.get( 'sound' );
+        const change = -dy / this.context.config.get( 'touch.range' ) * 100;
+        const volume = Math.round( Math.min( 100, Math.max( 0, this.#touch.volume + change ) ) );
+        if ( volume > 0 && sound.isMuted() ) sound.unmute();
+        sound.volume( volume );
+        this.context.dispatchEvent( 'video.touch.volume', { volume } );
+    }
+
+    /**
+     * Event touchend
+     * @private
+     * @param {TouchEvent} event - Touch event
+     * @return {void}
+     */
+    #event_touchend( event ) {
+        const touch = this.#touch;
+        this.#touch = null;
+        if ( !touch ) return;
+        if ( touch.swipe ) {
+            this.context.states.unset( 'touchVolume' );
+            return;
+        }
+        if ( touch.moved ) return;
+
+        // Replace the emulated click and double click with tap gestures
+        event.preventDefault();
+        const zone = this.#get_zone( touch.x );
+        if ( this.#timeouts.tap && this.#last_zone === zone ) {
+            window.clearTimeout( this.#timeouts.tap );
+            this.#timeouts.tap = null;
+            this.#last_zone = null;
+            this.#double_tap( zone, touch );
+            return;
+        }
+
+        // Single tap is delayed to detect a double tap
+        window.clearTimeout( this.#timeouts.tap );
+        this.#last_zone = zone;
+        this.#timeouts.tap = window.setTimeout( () => {
+            this.#timeouts.tap = null;
+            this.#last_zone = null;
+            this.toggleControls();
+            this.context.dispatchEvent( 'video.touch.tap', { visible : this.context.states.is( 'controlsShow' ) } );
+        }, this.context.config.get( 'touch.frequency' ) );
+    }
+
+    /**
+     * Double tap, seeks on the sides and passes on to controls double click in the center
+     * @private
+     * @param {string} zone - Tap zone
+     * @param {VideoTouchStart} touch - Touch data
+     * @return {void}
+     */
+    #double_tap( zone, touch ) {
+        if ( zone === 'center' || !this.context.config.get( 'touch.seek' ) ) {
+            this.context.dispatchEvent( 'video.controls.dblclick', { event : null } );
+            return;
+        }
+        if ( !this.context.states.is( 'playable' ) ) return;
+        const direction = zone === 'backward' ? -1 : 1;
+        this.seek( direction );
+
+        // Ripple state for visual feedback
+        const state = zone === 'backward' ? 'touchBackward' : 'touchForward';
+        window.clearTimeout( this.#timeouts.ripple );
+        this.context.states.set( state );
+        this.#timeouts.ripple = window.setTimeout( () => {
+            this.#timeouts.ripple = null;
+            this.context.states.unset( state );
+        }, this.context.config.get( 'touch.ripple' ) );
+        const offset = this.context.config.get( 'touch.seek' ) * direction;
+        const { x, y } = touch;
+        this.context.dispatchEvent( 'video.touch.seek', { direction, offset, x, y } );
+    }
+}
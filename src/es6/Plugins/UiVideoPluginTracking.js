@@ -131,8 +131,8 @@ export class UiVideoPluginTracking extends UiPlugin {
                 if ( !Number.isNaN( percent ) ) {
                     this.#tracker.run( trackers, [ this, percent ] );
                 }
-            } ],
-            [ 'ended', clear_on_callback ],
+            }, { signal : this.context.signal } ],
+            [ 'ended', clear_on_callback, { signal : this.context.signal } ],
         ] );
 
         // Bind component events
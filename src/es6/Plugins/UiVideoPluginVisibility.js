@@ -0,0 +1,242 @@
+/**
+ * Requires
+ */
+import { UiPlugin } from '@squirrel-forge/ui-core';
+
+/**
+ * Ui video plugin visibility
+ * @class
+ * @extends UiPlugin
+ */
+export class UiVideoPluginVisibility extends UiPlugin {
+
+    /**
+     * Viewport observer
+     * @private
+     * @property
+     * @type {null|IntersectionObserver}
+     */
+    #observer = null;
+
+    /**
+     * Player is in view
+     * @private
+     * @property
+     * @type {boolean}
+     */
+    #in_view = true;
+
+    /**
+     * Waiting for visibility to autoplay
+     * @private
+     * @property
+     * @type {boolean}
+     */
+    #autoplay_pending = false;
+
+    /**
+     * Paused by plugin
+     * @private
+     * @property
+     * @type {boolean}
+     */
+    #suspended = false;
+
+    /**
+     * Plugin name getter
+     * @public
+     * @static
+     * @return {string} - Plugin name
+     */
+    static get pluginName() {
+        return 'visibility';
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|Object} options - Options object
+     * @param {Object|UiVideoComponent} context - Plugin context
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( options, context, debug ) {
+        super( options, context, debug );
+
+        // Extend default config
+        this.extendConfig = {
+
+            // Visibility options
+            // @type {Object}
+            visibility : {
+
+                // Visible ratio of the player required to count as in view
+                // @type {number}
+                threshold : 0.5,
+
+                // Delay autoplay until in view, requires the autoplay option
+                // @type {boolean}
+                autoplay : true,
+
+                // Pause when leaving the viewport
+                // @type {boolean}
+                viewport : true,
+
+                // Pause when the page is hidden
+                // @type {boolean}
+                page : true,
+            },
+        };
+
+        // Register events
+        this.registerEvents = [
+            [ 'video.source.before', () => { this.#event_source_before(); } ],
+            [ 'video.source.set', () => { this.#event_source_set(); } ],
+            [ 'video.source.unset', () => {
+                this.#autoplay_pending = false;
+                this.#suspended = false;
+            } ],
+        ];
+    }
+
+    /**
+     * Init component
+     * @public
+     * @param {Object|UiComponent} context - UiPlugin context
+     * @return {void}
+     */
+    initComponent( context ) {
+        super.initComponent( context );
+
+        // Any play clears the pending and suspended states
+        this.context.video.addEventListener( 'play', () => {
+            this.#autoplay_pending = false;
+            this.#suspended = false;
+        }, { signal : this.context.signal } );
+
+        // Page visibility
+        document.addEventListener( 'visibilitychange', () => { this.#update( 'page' ); }, { signal : this.context.signal } );
+
+        // Viewport visibility
+        if ( typeof window.IntersectionObserver !== 'function' ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::initComponent IntersectionObserver not available' );
+            return;
+        }
+        const threshold = this.context.config.get( 'visibility.threshold' );
+        this.#observer = new window.IntersectionObserver( ( entries ) => {
+            const entry = entries[ entries.length - 1 ];
+            const in_view = entry.isIntersecting && entry.intersectionRatio >= threshold;
+            if ( in_view === this.#in_view ) return;
+            this.#in_view = in_view;
+            this.context.dispatchEvent( 'video.visibility.' + ( in_view ? 'enter' : 'leave' ), { ratio : entry.intersectionRatio } );
+            this.#update( 'viewport' );
+        }, { threshold : [ 0, threshold ] } );
+
+        // Assume out of view until the first observation
+        this.#in_view = false;
+        this.#observer.observe( this.context.dom );
+    }
+
+    /**
+     * Destroy component
+     * @public
+     * @return {void}
+     */
+    destroyComponent() {
+        if ( this.#observer ) {
+            this.#observer.disconnect();
+            this.#observer = null;
+        }
+    }
+
+    /**
+     * Player is in view and the page is visible
+     * @public
+     * @return {boolean} - Visible state
+     */
+    isVisible() {
+        return this.#in_view && document.visibilityState !== 'hidden';
+    }
+
+    /**
+     * Playback was paused by the plugin
+     * @public
+     * @return {boolean} - Suspended state
+     */
+    isSuspended() {
+        return this.#suspended;
+    }
+
+    /**
+     * Event video.source.before
+     * @private
+     * @return {void}
+     */
+    #event_source_before() {
+        this.#suspended = false;
+
+        // Take over autoplay to prevent loading and playing out of view
+        this.#autoplay_pending = false;
+        if ( !this.#observer || !this.context.config.get( 'visibility.autoplay' ) ) return;
+        if ( !this.context.config.get( 'autoplay' ) ) return;
+        this.context.video.autoplay = false;
+        this.#autoplay_pending = true;
+    }
+
+    /**
+     * Event video.source.set
+     * @private
+     * @return {void}
+     */
+    #event_source_set() {
+        if ( this.#autoplay_pending && this.isVisible() ) this.#play( 'autoplay' );
+    }
+
+    /**
+     * Update playback after visibility change
+     * @private
+     * @param {string} reason - Change reason: viewport or page
+     * @return {void}
+     */
+    #update( reason ) {
+        if ( reason === 'page' ) {
+            const hidden = document.visibilityState === 'hidden';
+            this.context.dispatchEvent( 'video.visibility.' + ( hidden ? 'hidden' : 'visible' ) );
+        }
+        if ( this.context.getCurrentSource() === null ) return;
+        const video = this.context.video;
+
+        // Pause if playing and no longer visible
+        if ( !this.isVisible() ) {
+            if ( video.paused || video.ended || !this.context.config.get( 'visibility.' + reason ) ) return;
+            this.#suspended = true;
+            video.pause();
+            this.context.dispatchEvent( 'video.visibility.pause', { reason } );
+            return;
+        }
+
+        // Resume only if paused by the plugin or waiting to autoplay
+        if ( this.#autoplay_pending ) {
+            this.#play( 'autoplay' );
+        } else if ( this.#suspended && video.paused ) {
+            this.#play( reason );
+        }
+    }
+
+    /**
+     * Play video
+     * @private
+     * @param {string} reason - Play reason: autoplay, viewport or page
+     * @return {void}
+     */
+    #play( reason ) {
+        const result = this.context.video.play();
+        this.context.dispatchEvent( 'video.visibility.play', { reason } );
+
+        // Browsers may block playback with sound without user interaction
+        if ( result instanceof Promise ) {
+            result.catch( ( e ) => {
+                if ( this.debug ) this.debug.warn( this.constructor.name + '::play Playback failed:', e );
+            } );
+        }
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * Requires
+ */
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Load text exception
+ * @class
+ * @extends Exception
+ */
+class LoadTextException extends Exception {}
+
+/**
+ * Load text file with fetch or a custom loader
+ * @param {string} url - File url
+ * @param {null|Function} loader - Custom loader, receives the url and returns the text or a Promise resolving it
+ * @return {Promise<string>} - File contents, rejects if the loader throws or the response is not ok
+ */
+export function loadText( url, loader = null ) {
+
+    // Anything the loader throws or returns ends up in the promise chain
+    if ( typeof loader === 'function' ) return new Promise( ( resolve ) => { resolve( loader( url ) ); } );
+    return window.fetch( url ).then( ( response ) => {
+        if ( !response.ok ) throw new LoadTextException( 'Failed to load: ' + url );
+        return response.text();
+    } );
+}
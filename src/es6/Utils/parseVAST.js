@@ -0,0 +1,158 @@
+/**
+ * Requires
+ */
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Parse VAST exception
+ * @class
+ * @extends Exception
+ */
+class ParseVASTException extends Exception {}
+
+/**
+ * @typedef {Object} VASTMediaFile - Linear creative media file
+ * @property {string} src - Media url
+ * @property {string} type - Mime type
+ * @property {string} delivery - Delivery method: progressive or streaming
+ * @property {number} width - Width in px
+ * @property {number} height - Height in px
+ * @property {number} bitrate - Bitrate in kbps, 0 if not defined
+ */
+
+/**
+ * @typedef {Object} VASTAd - Parsed linear ad
+ * @property {null|string} id - Ad identifier
+ * @property {null|number} sequence - Position in an ad pod
+ * @property {null|string} title - Ad title
+ * @property {null|string} wrapper - Wrapper VASTAdTagURI, the ad must be loaded from this url
+ * @property {null|number} duration - Duration in seconds
+ * @property {null|string} skipoffset - Skip offset as time or percentage, not skippable if null
+ * @property {Array<VASTMediaFile>} media - Media files
+ * @property {null|string} clickThrough - Click through url
+ * @property {Array<string>} clickTracking - Click tracking urls
+ * @property {Array<string>} impressions - Impression urls
+ * @property {Array<string>} errors - Error urls
+ * @property {Object<string,Array<string>>} tracking - Tracking urls by event name
+ */
+
+/**
+ * @typedef {Object} VASTResponse - Parsed VAST document
+ * @property {string} version - VAST version
+ * @property {Array<VASTAd>} ads - Ads with a linear creative
+ * @property {Array<string>} errors - Error urls of an empty response
+ */
+
+/**
+ * Parse VAST time
+ * @param {string} str - Time hh:mm:ss or hh:mm:ss.mmm
+ * @return {null|number} - Time in seconds
+ */
+export function parseVASTTime( str ) {
+    if ( typeof str !== 'string' ) return null;
+    const match = str.trim().match( /^(\d+):(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/ );
+    if ( !match ) return null;
+    const [ , hours, minutes, seconds, fraction ] = match;
+    return parseInt( hours ) * 3600 + parseInt( minutes ) * 60 + parseInt( seconds )
+        + ( fraction ? parseInt( fraction.padEnd( 3, '0' ) ) / 1000 : 0 );
+}
+
+/**
+ * Get trimmed text content
+ * @private
+ * @param {null|Element} node - Element
+ * @return {null|string} - Text or null if empty
+ */
+function nodeText( node ) {
+    const text = node ? node.textContent.trim() : '';
+    return text.length ? text : null;
+}
+
+/**
+ * Get all non empty texts
+ * @private
+ * @param {Element} parent - Parent element
+ * @param {string} selector - Element selector
+ * @return {Array<string>} - Texts
+ */
+function nodeTexts( parent, selector ) {
+    return [ ...parent.querySelectorAll( selector ) ].map( nodeText ).filter( ( text ) => { return text !== null; } );
+}
+
+/**
+ * Parse ad element
+ * @private
+ * @param {Element} ad - Ad element
+ * @return {null|VASTAd} - Parsed ad, null if it has no linear creative
+ */
+function parseAd( ad ) {
+    const inline = ad.querySelector( 'InLine' );
+    const wrapper = ad.querySelector( 'Wrapper' );
+    const body = inline || wrapper;
+    if ( !body ) return null;
+    const linear = body.querySelector( 'Creatives > Creative > Linear' );
+
+    // Inline ads must have a linear creative, wrappers may only add tracking
+    if ( !linear && inline ) return null;
+    const sequence = parseInt( ad.getAttribute( 'sequence' ) );
+    const tracking = {};
+    if ( linear ) {
+        const events = linear.querySelectorAll( 'TrackingEvents > Tracking' );
+        for ( let i = 0; i < events.length; i++ ) {
+            const name = events[ i ].getAttribute( 'event' );
+            const url = nodeText( events[ i ] );
+            if ( !name || !url ) continue;
+            if ( !tracking[ name ] ) tracking[ name ] = [];
+            tracking[ name ].push( url );
+        }
+    }
+    const media = linear ? [ ...linear.querySelectorAll( 'MediaFiles > MediaFile' ) ].map( ( file ) => {
+        return {
+            src : nodeText( file ),
+            type : file.getAttribute( 'type' ) || '',
+            delivery : file.getAttribute( 'delivery' ) || 'progressive',
+            width : parseInt( file.getAttribute( 'width' ) ) || 0,
+            height : parseInt( file.getAttribute( 'height' ) ) || 0,
+            bitrate : parseInt( file.getAttribute( 'bitrate' ) ) || 0,
+        };
+    } ).filter( ( file ) => { return file.src !== null; } ) : [];
+    return {
+        id : ad.getAttribute( 'id' ),
+        sequence : Number.isNaN( sequence ) ? null : sequence,
+        title : nodeText( body.querySelector( 'AdTitle' ) ),
+        wrapper : wrapper ? nodeText( wrapper.querySelector( 'VASTAdTagURI' ) ) : null,
+        duration : linear ? parseVASTTime( nodeText( linear.querySelector( 'Duration' ) ) ) : null,
+        skipoffset : linear ? linear.getAttribute( 'skipoffset' ) : null,
+        media : media,
+        clickThrough : linear ? nodeText( linear.querySelector( 'VideoClicks > ClickThrough' ) ) : null,
+        clickTracking : linear ? nodeTexts( linear, 'VideoClicks > ClickTracking' ) : [],
+        impressions : nodeTexts( body, 'Impression' ),
+        errors : nodeTexts( body, 'Error' ),
+        tracking : tracking,
+    };
+}
+
+/**
+ * Parse VAST 3/4 xml, only linear creatives are supported
+ * @param {string} str - VAST xml
+ * @return {VASTResponse} - Parsed response
+ */
+export function parseVAST( str ) {
+    if ( typeof str !== 'string' ) throw new ParseVASTException( 'Argument str must be a string' );
+    const doc = new window.DOMParser().parseFromString( str, 'text/xml' );
+    const root = doc.documentElement;
+    if ( !root || root.nodeName !== 'VAST' || doc.querySelector( 'parsererror' ) ) {
+        throw new ParseVASTException( 'Argument str must be a valid VAST document' );
+    }
+    const ads = [];
+    const elements = root.querySelectorAll( 'VAST > Ad' );
+    for ( let i = 0; i < elements.length; i++ ) {
+        const ad = parseAd( elements[ i ] );
+        if ( ad ) ads.push( ad );
+    }
+    return {
+        version : root.getAttribute( 'version' ) || '',
+        ads : ads,
+        errors : nodeTexts( root, 'VAST > Error' ),
+    };
+}
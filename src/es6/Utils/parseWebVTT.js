@@ -0,0 +1,58 @@
+/**
+ * Requires
+ */
+import { Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Parse WebVTT exception
+ * @class
+ * @extends Exception
+ */
+class ParseWebVTTException extends Exception {}
+
+/**
+ * @typedef {Object} WebVTTCue - Parsed cue
+ * @property {null|string} id - Cue identifier
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {string} text - Cue payload
+ */
+
+/**
+ * Parse WebVTT timestamp
+ * @param {string} str - Timestamp hh:mm:ss.ttt or mm:ss.ttt
+ * @return {null|number} - Time in seconds
+ */
+export function parseWebVTTTime( str ) {
+    const match = str.trim().match( /^(?:(\d+):)?(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/ );
+    if ( !match ) return null;
+    const [ , hours, minutes, seconds, fraction ] = match;
+    return parseInt( hours || '0' ) * 3600 + parseInt( minutes ) * 60 + parseInt( seconds )
+        + ( fraction ? parseInt( fraction.padEnd( 3, '0' ) ) / 1000 : 0 );
+}
+
+/**
+ * Parse WebVTT text into cues
+ * @param {string} str - WebVTT file contents
+ * @return {Array<WebVTTCue>} - Parsed cues
+ */
+export function parseWebVTT( str ) {
+    if ( typeof str !== 'string' ) throw new ParseWebVTTException( 'Argument str must be a string' );
+    const blocks = str.replace( /\r\n?/g, '\n' ).split( /\n{2,}/ );
+    const cues = [];
+    for ( let i = 0; i < blocks.length; i++ ) {
+        const lines = blocks[ i ].split( '\n' ).filter( ( line ) => { return line.length; } );
+
+        // Find timing line, an optional identifier may come first
+        const timing = lines.findIndex( ( line ) => { return line.includes( '-->' ); } );
+        if ( timing < 0 || timing > 1 ) continue;
+        const [ from, to ] = lines[ timing ].split( '-->' );
+        const start = parseWebVTTTime( from );
+        const end = parseWebVTTTime( to.trim().split( /\s+/ )[ 0 ] );
+        if ( start === null || end === null ) continue;
+        const id = timing === 1 ? lines[ 0 ] : null;
+        const text = lines.slice( timing + 1 ).join( '\n' );
+        cues.push( { id, start, end, text } );
+    }
+    return cues;
+}
@@ -0,0 +1,156 @@
+/**
+ * Controls renderer, has no dependencies so node loads it as an ES module for server side rendering
+ */
+
+/**
+ * Render controls exception
+ * @class
+ * @extends Error
+ */
+class RenderControlsException extends Error {
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {string} message - Exception message
+     */
+    constructor( message ) {
+        super( message );
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Escape html special chars and dollar signs that would be read as replacement patterns
+ * @private
+ * @param {string} text - Text to escape
+ * @return {string} - Escaped text
+ */
+function escapeText( text ) {
+    const map = { '&' : '&amp;', '<' : '&lt;', '>' : '&gt;', '"' : '&quot;', '\'' : '&#039;', '$' : '&#36;' };
+    return text.replace( /[&<>"'$]/g, ( m ) => { return map[ m ]; } );
+}
+
+/**
+ * Replace colon prefixed placeholders
+ * @private
+ * @param {string} template - Template string
+ * @param {Object} data - Placeholder values
+ * @return {string} - Rendered string
+ */
+function replacePlaceholders( template, data ) {
+    const keys = Object.keys( data );
+    for ( let i = 0; i < keys.length; i++ ) template = template.replace( new RegExp( ':' + keys[ i ], 'g' ), data[ keys[ i ] ] );
+    return template;
+}
+
+/**
+ * Default controls order
+ * @type {Array<string>}
+ */
+export const controlsDefault = [ 'play', 'pause', 'replay', 'progress', 'sound', 'fullscreen' ];
+
+/**
+ * Default control templates, placeholders are prefixed with a colon
+ * @type {Object}
+ */
+export const controlsTemplates = {
+    controls : '<div class="ui-video__controls">:controls</div>',
+    play : '<button class="ui-video__button ui-video__button--main ui-video__button--play" type="button" data-video="ctrl:play">'
+        + '<span class="ui-video__icon" data-icon="play"></span>'
+        + '<span class="ui-video__label ui-video__a11yhide">:label</span></button>',
+    pause : '<button class="ui-video__button ui-video__button--main ui-video__button--pause" type="button" data-video="ctrl:pause">'
+        + '<span class="ui-video__icon" data-icon="pause"></span>'
+        + '<span class="ui-video__label ui-video__a11yhide">:label</span></button>',
+    replay : '<button class="ui-video__button ui-video__button--main ui-video__button--replay" type="button" data-video="ctrl:replay">'
+        + '<span class="ui-video__icon" data-icon="replay"></span>'
+        + '<span class="ui-video__label ui-video__a11yhide">:label</span></button>',
+    progress : '<div class="ui-video__progress">'
+        + '<input class="ui-video__range" type="range" min="0" max="100" step="0.01" value="0"'
+        + ' aria-label=":label" data-video="ctrl:progress">'
+        + '</div>',
+    sound : '<div class="ui-video__control ui-video__control--sound">'
+        + '<button class="ui-video__button ui-video__button--mute" type="button" data-video="ctrl:mute">'
+        + '<span class="ui-video__icon" data-icon="mute"></span>'
+        + '<span class="ui-video__label ui-video__a11yhide">:muteLabel</span></button>'
+        + '<button class="ui-video__button ui-video__button--unmute" type="button" data-video="ctrl:unmute">'
+        + '<span class="ui-video__icon" data-icon="unmute"></span>'
+        + '<span class="ui-video__label ui-video__a11yhide">:unmuteLabel</span></button>'
+        + '<input class="ui-video__range" type="range" min="0" max="100" step="1" value="100"'
+        + ' aria-label=":volumeLabel" data-video="ctrl:volume">'
+        + '</div>',
+    fullscreen : '<div class="ui-video__control ui-video__control--fullscreen">'
+        + '<button class="ui-video__button ui-video__button--fullscreen" type="button" data-video="ctrl:fullscreen">'
+        + '<span class="ui-video__icon" data-icon="fullscreen"></span>'
+        + '<span class="ui-video__label ui-video__a11yhide">:fullscreenLabel</span></button>'
+        + '<button class="ui-video__button ui-video__button--minimize" type="button" data-video="ctrl:minimize">'
+        + '<span class="ui-video__icon" data-icon="minimize"></span>'
+        + '<span class="ui-video__label ui-video__a11yhide">:minimizeLabel</span></button>'
+        + '</div>',
+};
+
+/**
+ * Template placeholders and their message keys by control name
+ * @type {Object}
+ */
+export const controlsPlaceholders = {
+    play : { label : 'control.play' },
+    pause : { label : 'control.pause' },
+    replay : { label : 'control.replay' },
+    progress : { label : 'progress.input' },
+    sound : { muteLabel : 'sound.on', unmuteLabel : 'sound.off', volumeLabel : 'sound.volume' },
+    fullscreen : { fullscreenLabel : 'fullscreen.on', minimizeLabel : 'fullscreen.off' },
+};
+
+/**
+ * Render controls markup, works without a dom for server side rendering
+ * @param {null|Array<string>} controls - Control names, uses controlsDefault if null
+ * @param {null|Object} templates - Template overrides by control name, a template may be a function receiving the texts object
+ * @param {null|Object|Function} text - Messages by key or a function returning the message for a key, missing messages render their key
+ * @return {string} - Controls markup
+ */
+export function renderControls( controls = null, templates = null, text = null ) {
+    if ( controls === null ) controls = controlsDefault;
+    if ( !( controls instanceof Array ) ) throw new RenderControlsException( 'Argument controls must be an Array' );
+    templates = Object.assign( {}, controlsTemplates, templates || {} );
+
+    /**
+     * Get escaped message text
+     * @private
+     * @param {string} key - Message key
+     * @return {string} - Escaped text
+     */
+    const get_text = ( key ) => {
+        let value = null;
+        if ( typeof text === 'function' ) {
+            value = text( key );
+        } else if ( text && typeof text[ key ] === 'string' ) {
+            value = text[ key ];
+        }
+        if ( typeof value !== 'string' ) value = key;
+        return escapeText( value );
+    };
+
+    /**
+     * Render template
+     * @private
+     * @param {string} name - Template name
+     * @param {Object} data - Placeholder data
+     * @return {string} - Rendered template
+     */
+    const render = ( name, data ) => {
+        const template = templates[ name ];
+        if ( typeof template === 'function' ) return template( data );
+        if ( typeof template !== 'string' ) throw new RenderControlsException( 'No template available for: ' + name );
+        return replacePlaceholders( template, data );
+    };
+    let html = '';
+    for ( let i = 0; i < controls.length; i++ ) {
+        const placeholders = controlsPlaceholders[ controls[ i ] ] || {};
+        const data = {};
+        const keys = Object.keys( placeholders );
+        for ( let j = 0; j < keys.length; j++ ) data[ keys[ j ] ] = get_text( placeholders[ keys[ j ] ] );
+        html += render( controls[ i ], data );
+    }
+    return render( 'controls', { controls : html } );
+}
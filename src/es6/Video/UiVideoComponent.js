@@ -2,7 +2,9 @@
  * Requires
  */
 import { UiComponent } from '@squirrel-forge/ui-core';
-import { Exception, cloneObject, bindMultiClick, bindNodeList, isPojo } from '@squirrel-forge/ui-util';
+import { Exception, cloneObject, bindNodeList, isPojo, ucfirst, simpleReplace } from '@squirrel-forge/ui-util';
+import { UiVideoManager } from './UiVideoManager.js';
+import { renderControls } from '../Utils/renderControls.mjs';
 
 /**
  * Ui video component exception
@@ -15,9 +17,45 @@ class UiVideoComponentException extends Exception {}
  * @typedef {Object} VideoSource
  * @property {string} src - Video source url
  * @property {string} type - Video mimetype, default: video/mp4
+ * @property {string} codecs - Optional codecs string, for example: avc1.64001F, mp4a.40.2
+ * @property {number} priority - Optional priority for automatic selection, higher is preferred, default: 0
  * @property {string} poster - Video poster url
+ * @property {Array<VideoSourceAlternative>} alternatives - Optional alternative formats, rendered in order after the source
  */
 
+/**
+ * @typedef {Object} VideoSourceAlternative
+ * @property {string} src - Video source url
+ * @property {string} type - Video mimetype, default: video/mp4
+ * @property {string} codecs - Optional codecs string
+ */
+
+/**
+ * @typedef {Object} VideoSourceCandidate
+ * @property {number} index - Source index
+ * @property {VideoSource} source - Video source
+ * @property {string} type - Type with codecs as checked
+ * @property {string} support - canPlayType result: probably, maybe or empty
+ * @property {number} priority - Source priority
+ * @property {boolean} playable - Source is playable
+ */
+
+/**
+ * Default component messages
+ * @type {Object}
+ */
+const defaultMessages = {
+    'control.play' : 'Play',
+    'control.pause' : 'Pause',
+    'control.replay' : 'Replay',
+    'control.retry' : 'Retry',
+    'error.aborted' : 'Video loading was aborted.',
+    'error.network' : 'The video could not be loaded due to a network error.',
+    'error.decode' : 'The video could not be played.',
+    'error.unsupported' : 'The video format is not supported.',
+    'error.unknown' : 'An unknown error occurred.',
+};
+
 /**
  * Ui video component
  * @class
@@ -34,13 +72,93 @@ export class UiVideoComponent extends UiComponent {
     #current_index = null;
 
     /**
-     * Current selected source
+     * Current selected primary source
      * @private
      * @property
      * @type {null|HTMLSourceElement}
      */
     #current_source = null;
 
+    /**
+     * Listeners abort controller, aborted on destroy
+     * @private
+     * @property
+     * @type {null|AbortController}
+     */
+    #abort = null;
+
+    /**
+     * Dom snapshot for restoring on destroy
+     * @private
+     * @property
+     * @type {null|Object}
+     */
+    #snapshot = null;
+
+    /**
+     * Active timeouts
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #timeouts = { controls : null, blur : null, click : null, buffering : null, retry : null };
+
+    /**
+     * Current error type
+     * @private
+     * @property
+     * @type {null|string}
+     */
+    #error_type = null;
+
+    /**
+     * Retry attempts for the current source
+     * @private
+     * @property
+     * @type {number}
+     */
+    #error_attempts = 0;
+
+    /**
+     * Recovery in progress, the next source set is a fallback
+     * @private
+     * @property
+     * @type {boolean}
+     */
+    #error_recovering = false;
+
+    /**
+     * Buffering start timestamp
+     * @private
+     * @property
+     * @type {null|number}
+     */
+    #buffering_since = null;
+
+    /**
+     * Registered messages by locale
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #messages = {};
+
+    /**
+     * Labelled elements, their message keys, placeholder data and original aria-label and title
+     * @private
+     * @property
+     * @type {Map<HTMLElement,Array>}
+     */
+    #labels = new Map();
+
+    /**
+     * Player manager
+     * @private
+     * @property
+     * @type {null|UiVideoManager}
+     */
+    #manager = null;
+
     /**
      * Element selector getter
      * @public
@@ -50,6 +168,16 @@ export class UiVideoComponent extends UiComponent {
         return '[is="ui-video"]:not([data-state])';
     }
 
+    /**
+     * Error types by MediaError code
+     * @public
+     * @static
+     * @return {Object} - Error types map
+     */
+    static get errorTypes() {
+        return { 1 : 'aborted', 2 : 'network', 3 : 'decode', 4 : 'unsupported' };
+    }
+
     /**
      * Constructor
      * @constructor
@@ -93,6 +221,10 @@ export class UiVideoComponent extends UiComponent {
             // @type {Array<VideoSource>}
             sources : [],
 
+            // Read sources, tracks and poster from the video markup if no sources are defined
+            // @type {boolean}
+            markup : false,
+
             // Default source mimetype
             // @type {string}
             defaulttype : 'video/mp4',
@@ -101,6 +233,10 @@ export class UiVideoComponent extends UiComponent {
             // @type {null|number}
             selected : null,
 
+            // Select the best playable source if none is selected and skip unplayable sources
+            // @type {boolean}
+            autoselect : false,
+
             // Control settings
             // @type {Object}
             controls : {
@@ -124,6 +260,90 @@ export class UiVideoComponent extends UiComponent {
                 // Controls hide timeout after move
                 // @type {number}
                 timeout : 2500,
+
+                // Show controls on touch, UiVideoPluginTouch disables this to handle taps itself
+                // @type {boolean}
+                touch : true,
+
+                // Keep controls visible while containing an element matching the selector, for example an open menu
+                // @type {null|string}
+                keep : '[aria-expanded="true"]',
+
+                // Render the default controls markup if dom.controls is not available
+                // @type {boolean}
+                render : false,
+
+                // Controls to render, detected from the loaded plugins if null
+                // @type {null|Array<string>}
+                items : null,
+
+                // Template overrides by control name, see renderControls
+                // @type {null|Object}
+                templates : null,
+            },
+
+            // Error recovery settings
+            // @type {Object}
+            error : {
+
+                // Retry attempts for the same source, unsupported sources are never retried
+                // @type {number}
+                retries : 2,
+
+                // Retry delay in ms, doubled on every attempt
+                // @type {number}
+                delay : 1000,
+
+                // Fall back to the next compatible source after all retries failed
+                // @type {boolean}
+                fallback : true,
+            },
+
+            // Locale settings
+            // @type {Object}
+            locale : {
+
+                // Current locale, uses the document language if null
+                // @type {null|string}
+                current : null,
+
+                // Fallback locale for missing messages
+                // @type {string}
+                fallback : 'en',
+
+                // Message dictionaries by locale, for example: { de : { 'control.play' : 'Abspielen' } }
+                // @type {null|Object}
+                messages : null,
+
+                // Set aria-label and title on labelled controls, existing ones are kept unless a configured or translated message is available
+                // @type {boolean}
+                labels : true,
+            },
+
+            // Buffering settings
+            // @type {Object}
+            buffering : {
+
+                // Delay in ms before the buffering state is set, avoids flicker on short stalls
+                // @type {number}
+                delay : 300,
+            },
+
+            // Player manager settings
+            // @type {Object}
+            manager : {
+
+                // Manager instance, uses UiVideoManager.global if null, set false to not join any manager
+                // @type {null|false|UiVideoManager}
+                instance : null,
+
+                // Manager group name
+                // @type {string}
+                group : 'default',
+
+                // Set the group exclusive, starting a player pauses all others of the group
+                // @type {boolean}
+                exclusive : false,
             },
 
             // Dom references
@@ -153,6 +373,14 @@ export class UiVideoComponent extends UiComponent {
                 // Prevent control collision
                 // @type {string}
                 prevent : '[data-video="ctrl:prevent"]',
+
+                // Error message reference
+                // @type {string}
+                error : '[data-video="label:error"]',
+
+                // Retry button reference
+                // @type {string}
+                retry : '[data-video="ctrl:retry"]',
             }
         };
 
@@ -172,10 +400,19 @@ export class UiVideoComponent extends UiComponent {
             controlsDefault : { global : false, classOn : 'ui-video--default-controls', unsets : [ 'controlsNative' ] },
             controlsNative : { global : false, classOn : 'ui-video--native-controls', unsets : [ 'controlsDefault' ] },
             controlsShow : { global : false, classOn : 'ui-video--show-controls' },
+            buffering : { global : false, classOn : 'ui-video--buffering' },
+            errorAborted : { global : false, classOn : 'ui-video--error-aborted' },
+            errorNetwork : { global : false, classOn : 'ui-video--error-network' },
+            errorDecode : { global : false, classOn : 'ui-video--error-decode' },
+            errorUnsupported : { global : false, classOn : 'ui-video--error-unsupported' },
+            errorUnknown : { global : false, classOn : 'ui-video--error-unknown' },
         };
 
         // Initialize parent
-        super( element, settings, defaults, extend, states, plugins, parent, debug, init );
+        super( element, settings, defaults, extend, states, plugins, parent, debug, false );
+
+        // Initialize after private properties are available
+        if ( init ) this.init();
     }
 
     /**
@@ -191,12 +428,40 @@ export class UiVideoComponent extends UiComponent {
             throw new UiVideoComponentException( 'Dom reference "video" must be a HTMLVideoElement' );
         }
 
+        // Remember original markup and create listeners signal
+        this.#create_snapshot();
+        this.#abort = new AbortController();
+
+        // Register default messages, plugins register theirs on init
+        this.registerMessages( defaultMessages );
+
+        // Render controls before anything binds to them
+        if ( this.config.get( 'controls.render' ) && !this.getDomRefs( 'controls', false ) ) this.#render_controls();
+
+        // Read sources from markup before any plugin or selection uses them
+        if ( this.config.get( 'markup' ) && !this.config.get( 'sources' ).length ) {
+            const sources = this.constructor.sourcesFromMarkup( this.video );
+            if ( sources.length ) {
+                this.config.set( 'sources', sources );
+
+                // The browser would play the first source, so do we
+                if ( this.config.get( 'selected' ) === null && !this.config.get( 'autoselect' ) ) this.config.set( 'selected', 0 );
+                if ( this.debug ) this.debug.log( this.constructor.name + '::init Sources from markup', sources );
+            }
+        }
+
         // Bind events
         this.bind();
 
+        // Join player manager, leaves on destroy
+        this.#join_manager();
+
         // Complete init
         super.init( () => {
 
+            // Destroyed before init completed
+            if ( this.signal.aborted ) return;
+
             // Set controls mode
             if ( this.config.get( 'native' ) ) {
                 this.states.set( 'controlsNative' );
@@ -223,6 +488,17 @@ export class UiVideoComponent extends UiComponent {
             if ( typeof default_selected === 'number' ) {
                 this.selectSource( default_selected );
 
+            } else if ( this.config.get( 'autoselect' ) && this.config.get( 'sources' ).length ) {
+
+                // Select best playable source
+                const candidates = this.rankSources();
+                this.dispatchEvent( 'video.source.candidates', { candidates } );
+                if ( candidates[ 0 ].playable ) {
+                    this.selectSource( candidates[ 0 ].index );
+                } else {
+                    if ( this.debug ) this.debug.error( this.constructor.name + '::init No playable video source', candidates );
+                    this.dispatchEvent( 'video.source.none' );
+                }
             } else if ( this.config.get( 'sources' ).length === 1 ) {
 
                 // Only one source available, select it by default
@@ -236,6 +512,58 @@ export class UiVideoComponent extends UiComponent {
         } );
     }
 
+    /**
+     * Read video sources from markup
+     * @public
+     * @static
+     * @param {HTMLVideoElement} video - Video element
+     * @return {Array<VideoSource>} - Video sources
+     */
+    static sourcesFromMarkup( video ) {
+        const poster = video.getAttribute( 'poster' );
+
+        // Text tracks are shared by all sources
+        const tracks = [];
+        const track_elements = video.querySelectorAll( ':scope > track' );
+        for ( let i = 0; i < track_elements.length; i++ ) {
+            const track = track_elements[ i ];
+            if ( !track.getAttribute( 'src' ) ) continue;
+            tracks.push( {
+                src : track.getAttribute( 'src' ),
+                kind : track.getAttribute( 'kind' ) || 'subtitles',
+                srclang : track.getAttribute( 'srclang' ) || '',
+                label : track.getAttribute( 'label' ) || '',
+                default : track.hasAttribute( 'default' ),
+            } );
+        }
+
+        // Use source elements or the video src attribute
+        const elements = [ ...video.querySelectorAll( ':scope > source' ) ];
+        if ( !elements.length && video.getAttribute( 'src' ) ) elements.push( video );
+        const sources = [];
+        for ( let i = 0; i < elements.length; i++ ) {
+            const element = elements[ i ];
+            const source = {};
+
+            // Data attributes, for example: data-label, data-media, data-poster
+            const data = Object.entries( element.dataset );
+            for ( let j = 0; j < data.length; j++ ) {
+                const [ name, value ] = data[ j ];
+                source[ name ] = this.configValueFromAttr( value );
+            }
+
+            // Native attributes take precedence, data-src allows for lazy markup
+            source.src = element.getAttribute( 'src' ) || source.src;
+            if ( typeof source.src !== 'string' || !source.src.length ) continue;
+            if ( element !== video && element.getAttribute( 'type' ) ) source.type = element.getAttribute( 'type' );
+            if ( element !== video && element.getAttribute( 'media' ) ) source.media = element.getAttribute( 'media' );
+            if ( !source.poster && poster ) source.poster = poster;
+            if ( !source.tracks && tracks.length ) source.tracks = cloneObject( tracks, true );
+            sources.push( source );
+        }
+        return sources;
+    }
+
     /**
      * Hide control
      * @public
@@ -270,6 +598,7 @@ export class UiVideoComponent extends UiComponent {
      * @return {void}
      */
     bind() {
+        const signal = this.signal;
 
         // Bind video events
         bindNodeList( [ this.video ], [
@@ -278,27 +607,57 @@ export class UiVideoComponent extends UiComponent {
                     this.states.set( 'playable' );
                     this.states.set( 'paused' );
                 }
-            } ],
+            }, { signal } ],
             [ 'play', () => {
                 this.states.set( 'playing' );
-                this.states.unset( 'controlsShow' );
                 if ( this.config.get( 'native' ) ) this.video.controls = true;
-            } ],
+            }, { signal } ],
             [ 'playing', () => {
                 this.states.set( 'playing' );
-                this.states.unset( 'controlsShow' );
                 if ( this.config.get( 'native' ) ) this.video.controls = true;
-            } ],
+            }, { signal } ],
             [ 'pause', () => {
                 this.states.set( 'paused' );
                 if ( this.config.get( 'native' ) ) this.video.controls = false;
-            } ],
+            }, { signal } ],
             [ 'ended', () => {
                 this.states.set( 'ended' );
                 if ( this.config.get( 'native' ) ) this.video.controls = false;
-            } ],
+            }, { signal } ],
         ] );
 
+        // Bind buffering events, a seek within the buffered range may end without any waiting or playing event
+        bindNodeList( [ this.video ], [
+            [ 'waiting', ( event ) => { this.#buffering_start( event ); }, { signal } ],
+            [ 'stalled', ( event ) => { if ( !this.video.paused ) this.#buffering_start( event ); }, { signal } ],
+            [ 'seeking', ( event ) => { this.#buffering_start( event ); }, { signal } ],
+            [ 'seeked', ( event ) => {
+                if ( this.video.paused || this.video.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA ) this.#buffering_end( event );
+            }, { signal } ],
+            [ 'canplaythrough', ( event ) => { this.#buffering_end( event ); }, { signal } ],
+            [ 'playing', ( event ) => { this.#buffering_end( event ); }, { signal } ],
+            [ 'emptied', ( event ) => { this.#buffering_end( event ); }, { signal } ],
+            [ 'error', ( event ) => { this.#buffering_end( event ); }, { signal } ],
+        ] );
+
+        // Bind error recovery, source elements report their own load errors
+        bindNodeList( [ this.video ], [
+            [ 'error', ( event ) => { this.#event_source_error( event ); }, { signal } ],
+            [ 'canplay', () => { this.#error_recovered(); }, { signal } ],
+        ] );
+        const error = this.getDomRefs( 'error', false );
+        if ( error ) error.hidden = true;
+        const retry = this.getDomRefs( 'retry', false );
+        if ( retry ) {
+            this.constructor.hideControl( retry, true );
+            this.setLabel( retry, 'control.retry' );
+            retry.addEventListener( 'click', ( event ) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.retry();
+            }, { signal } );
+        }
+
         // Bind controls if available
         const controls = this.getDomRefs( 'controls', false );
         if ( controls ) {
@@ -311,6 +670,9 @@ export class UiVideoComponent extends UiComponent {
                 window.console.error( { play, pause, replay } );
                 throw new UiVideoComponentException( 'Missing one or more main controls, see previous message for details.' );
             }
+            this.setLabel( play, 'control.play' );
+            this.setLabel( pause, 'control.pause' );
+            this.setLabel( replay, 'control.replay' );
 
             // Main control visibility video events
             bindNodeList( [ this.video ], [
@@ -319,31 +681,31 @@ export class UiVideoComponent extends UiComponent {
                     this.constructor.showControl( play, display );
                     this.constructor.hideControl( pause, display );
                     this.constructor.hideControl( replay, display );
-                } ],
+                }, { signal } ],
                 [ 'play', () => {
                     const display = this.config.get( 'controls.display' );
                     this.constructor.hideControl( play, display );
                     this.constructor.showControl( pause, display );
                     this.constructor.hideControl( replay, display );
-                } ],
+                }, { signal } ],
                 [ 'playing', () => {
                     const display = this.config.get( 'controls.display' );
                     this.constructor.hideControl( play, display );
                     this.constructor.showControl( pause, display );
                     this.constructor.hideControl( replay, display );
-                } ],
+                }, { signal } ],
                 [ 'pause', () => {
                     const display = this.config.get( 'controls.display' );
                     this.constructor.showControl( play, display );
                     this.constructor.hideControl( pause, display );
                     this.constructor.hideControl( replay, display );
-                } ],
+                }, { signal } ],
                 [ 'ended', () => {
                     const display = this.config.get( 'controls.display' );
                     this.constructor.hideControl( play, display );
                     this.constructor.hideControl( pause, display );
                     this.constructor.showControl( replay, display );
-                } ],
+                }, { signal } ],
             ] );
 
             // Initially hide all main controls
@@ -353,25 +715,10 @@ export class UiVideoComponent extends UiComponent {
             this.constructor.hideControl( replay, display );
 
             // Controls visibility
-            let controls_timeout = null;
-            controls.addEventListener( 'mousemove', () => {
-                if ( this.states.is( 'playable' ) ) {
-                    if ( !this.states.is( 'controlsShow' ) ) this.states.set( 'controlsShow' );
-                    if ( controls_timeout ) window.clearTimeout( controls_timeout );
-                    controls_timeout = window.setTimeout( () => {
-                        this.states.unset( 'controlsShow' );
-                    }, this.config.get( 'controls.timeout' ) );
-                } else if ( this.states.is( 'controlsShow' ) ) {
-                    this.states.unset( 'controlsShow' );
-                }
-            } );
+            this.#bind_controls_visibility( controls );
 
             // Controls multi click events
-            bindMultiClick( controls, ( event ) => {
-                this.dispatchEvent( 'video.controls.click', { event } );
-            }, ( event ) => {
-                this.dispatchEvent( 'video.controls.dblclick', { event } );
-            }, this.config.get( 'controls.frequency' ) );
+            this.#bind_multi_click( controls );
 
             /**
              * Prevent click events from bubbling to anywhere else
@@ -384,10 +731,10 @@ export class UiVideoComponent extends UiComponent {
             for ( let i = 0; i < preventables.length; i++ ) {
                 preventables[ i ].addEventListener( 'dblclick', ( event ) => {
                     event.stopPropagation();
-                });
+                }, { signal } );
                 preventables[ i ].addEventListener( 'click', ( event ) => {
                     event.stopPropagation();
-                });
+                }, { signal } );
             }
 
             /**
@@ -411,7 +758,7 @@ export class UiVideoComponent extends UiComponent {
                     // Blur click focus after interaction to allow controls fadeout
                     const blur = this.config.get( 'controls.blur' );
                     if ( blur !== null ) {
-                        window.setTimeout( () => { document.activeElement.blur(); }, blur );
+                        this.#timeouts.blur = window.setTimeout( () => { document.activeElement.blur(); }, blur );
                     }
                 } else {
 
@@ -470,9 +817,23 @@ export class UiVideoComponent extends UiComponent {
         }
 
         // Target index does not exist
-        const source = sources[ index ] || null;
+        let source = sources[ index ] || null;
         if ( !source ) throw new UiVideoComponentException( 'Source index #' + index + ' not found' );
 
+        // Skip unplayable source and use the best playable candidate
+        if ( this.config.get( 'autoselect' ) && !this.canPlaySource( source ) ) {
+            const candidates = this.rankSources();
+            this.dispatchEvent( 'video.source.candidates', { candidates } );
+            if ( !candidates[ 0 ].playable ) {
+                if ( this.debug ) this.debug.error( this.constructor.name + '::selectSource No playable video source', candidates );
+                this.dispatchEvent( 'video.source.none' );
+                return;
+            }
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::selectSource Skipped unplayable source #' + index );
+            index = candidates[ 0 ].index;
+            source = sources[ index ];
+        }
+
         // Allow plugin interception
         const data = { index, source };
         this.plugins?.run( 'selectSource', [ data ] );
@@ -487,6 +848,60 @@ export class UiVideoComponent extends UiComponent {
         this.setSource( data.source, this.constructor.name + '::selectSource' );
     }
 
+    /**
+     * Get source type with codecs
+     * @public
+     * @param {VideoSource} source - Video source
+     * @return {string} - Type string
+     */
+    getSourceType( source ) {
+        const type = source.type || this.config.get( 'defaulttype' );
+        return source.codecs ? type + '; codecs="' + source.codecs + '"' : type;
+    }
+
+    /**
+     * Check if the browser can play a source or any of its alternatives
+     * @public
+     * @param {VideoSource} source - Video source
+     * @return {string} - Best canPlayType result: probably, maybe or empty
+     */
+    canPlaySource( source ) {
+        let result = '';
+        const entries = [ source ].concat( source.alternatives instanceof Array ? source.alternatives : [] );
+        for ( let i = 0; i < entries.length; i++ ) {
+            const support = this.video.canPlayType( this.getSourceType( entries[ i ] ) );
+            if ( support === 'probably' ) return support;
+            if ( support ) result = support;
+        }
+        return result;
+    }
+
+    /**
+     * Rank sources by playability, priority and support
+     * @public
+     * @return {Array<VideoSourceCandidate>} - Sorted candidates, best first
+     */
+    rankSources() {
+        const sources = this.config.get( 'sources' );
+        if ( !( sources instanceof Array ) ) {
+            throw new UiVideoComponentException( 'Invalid video sources, must be an array' );
+        }
+        const levels = { probably : 2, maybe : 1 };
+        const candidates = sources.map( ( source, index ) => {
+            const type = this.getSourceType( source );
+            const support = this.canPlaySource( source );
+            const priority = typeof source.priority === 'number' ? source.priority : 0;
+            const playable = support !== '';
+            return { index, source, type, support, priority, playable };
+        } );
+        return candidates.sort( ( a, b ) => {
+            if ( a.playable !== b.playable ) return a.playable ? -1 : 1;
+            if ( a.priority !== b.priority ) return b.priority - a.priority;
+            if ( a.support !== b.support ) return ( levels[ b.support ] || 0 ) - ( levels[ a.support ] || 0 );
+            return a.index - b.index;
+        } );
+    }
+
     /**
      * Set video poster
      * @public
@@ -509,13 +924,20 @@ export class UiVideoComponent extends UiComponent {
     }
 
     /**
-     * Get current video src attribute
+     * Get current video src attribute, reports the alternative chosen by the browser
      * @public
      * @return {string|null} - Current source attribute
      */
     getCurrentSource() {
-        if ( this.#current_source ) return this.#current_source.getAttribute( 'src' );
-        return null;
+        if ( !this.#current_source ) return null;
+        const chosen = this.video.currentSrc;
+        if ( chosen ) {
+            const elements = this.#source_elements();
+            for ( let i = 0; i < elements.length; i++ ) {
+                if ( elements[ i ].src === chosen ) return elements[ i ].getAttribute( 'src' );
+            }
+        }
+        return this.#current_source.getAttribute( 'src' );
     }
 
     /**
@@ -546,10 +968,24 @@ export class UiVideoComponent extends UiComponent {
             throw new UiVideoComponentException( 'Argument source.src must be a non empty string' );
         }
 
+        // Alternatives must have a source
+        if ( typeof source.alternatives !== 'undefined' ) {
+            if ( !( source.alternatives instanceof Array ) ) {
+                throw new UiVideoComponentException( 'Argument source.alternatives must be an array' );
+            }
+            for ( let i = 0; i < source.alternatives.length; i++ ) {
+                const alternative = source.alternatives[ i ];
+                if ( !isPojo( alternative ) || typeof alternative.src !== 'string' || !alternative.src.length ) {
+                    throw new UiVideoComponentException( 'Argument source.alternatives[' + i + '].src must be a non empty string' );
+                }
+            }
+        }
+
         // Prevent update if no change would be applied
-        if ( source.src === this.getCurrentSource() ) return;
+        if ( this.#current_source && source.src === this.#current_source.getAttribute( 'src' ) ) return;
 
         // Set loading state and clear current source
+        this.#error_reset( this.#error_recovering );
         this.states.set( 'loading' );
         this.video.innerHTML = '';
         this.video.pause();
@@ -557,18 +993,21 @@ export class UiVideoComponent extends UiComponent {
         // Set or remove poster
         this.setPoster( source.poster );
 
-        // Create new source
-        const src = document.createElement( 'source' );
-        src.addEventListener( 'error', ( event ) => { this.#event_source_error( event ); } );
-        src.type = source.type || this.config.get( 'defaulttype' );
-        src.src = source.src;
+        // Create new source and alternatives, the browser loads the first one it can play
+        const elements = [ source ].concat( source.alternatives || [] ).map( ( entry ) => {
+            const src = document.createElement( 'source' );
+            src.addEventListener( 'error', ( event ) => { this.#event_alternative_error( event ); }, { signal : this.signal } );
+            src.type = this.getSourceType( entry );
+            src.src = entry.src;
+            return src;
+        } );
 
         // Allow for any setting prior to setting and loading the new source
         this.dispatchEvent( 'video.source.before', { source, setter } );
 
-        // Add new source and begin loading
-        this.#current_source = src;
-        this.video.appendChild( src );
+        // Add new sources and begin loading
+        this.#current_source = elements[ 0 ];
+        this.video.append( ...elements );
         this.video.load();
         this.states.unset( 'sourceNone' );
 
@@ -590,6 +1029,7 @@ export class UiVideoComponent extends UiComponent {
         if ( !this.dispatchEvent( 'video.source.update', { source, setter }, true, true ) ) return;
 
         // Set loading state and clear current source
+        this.#error_reset();
         this.states.set( 'loading' );
         this.video.innerHTML = '';
         this.video.pause();
@@ -615,6 +1055,532 @@ export class UiVideoComponent extends UiComponent {
         return this.getDomRefs( 'video', false );
     }
 
+    /**
+     * Get player manager
+     * @public
+     * @return {null|UiVideoManager} - Player manager
+     */
+    get manager() {
+        return this.#manager;
+    }
+
+    /**
+     * Get listeners signal, listeners using this signal are removed on destroy
+     * @public
+     * @return {null|AbortSignal} - Abort signal
+     */
+    get signal() {
+        return this.#abort ? this.#abort.signal : null;
+    }
+
+    /**
+     * Register event listener, removed on destroy unless a signal is defined, destroy listeners run once
+     * @public
+     * @param {string} name - Event name
+     * @param {Function} callback - Callback to register for event
+     * @param {boolean|Object} useCaptureOptions - Capture style or options Object
+     * @return {void}
+     */
+    addEventListener( name, callback, useCaptureOptions = false ) {
+        if ( this.#abort ) {
+            useCaptureOptions = isPojo( useCaptureOptions ) ? Object.assign( {}, useCaptureOptions ) : { capture : !!useCaptureOptions };
+
+            // The destroy event is dispatched after the abort, so its listeners remove themselves instead
+            if ( name === 'video.destroy' ) {
+                useCaptureOptions.once = true;
+            } else if ( !useCaptureOptions.signal ) {
+                useCaptureOptions.signal = this.#abort.signal;
+            }
+        }
+        super.addEventListener( name, callback, useCaptureOptions );
+    }
+
+    /**
+     * Destroy component, removes all listeners and restores the original markup
+     * @public
+     * @return {void}
+     */
+    destroy() {
+        if ( !this.#abort || this.#abort.signal.aborted ) {
+            throw new UiVideoComponentException( 'Component not initialized or already destroyed' );
+        }
+
+        // Stop playback and let plugins react to the source removal
+        this.video.pause();
+        if ( this.getCurrentSource() !== null ) this.unsetSource( true, this.constructor.name + '::destroy' );
+
+        // Run plugin teardown
+        this.plugins?.run( 'destroyComponent' );
+
+        // Remove all listeners and timers
+        this.#abort.abort();
+        const timeouts = Object.keys( this.#timeouts );
+        for ( let i = 0; i < timeouts.length; i++ ) {
+            window.clearTimeout( this.#timeouts[ timeouts[ i ] ] );
+            this.#timeouts[ timeouts[ i ] ] = null;
+        }
+
+        // Abort loading and restore original markup, attributes, state classes and css properties
+        this.video.innerHTML = '';
+        this.video.removeAttribute( 'src' );
+        this.video.load();
+        this.#restore_snapshot();
+        this.dom.removeAttribute( 'data-state' );
+        this.dom.removeAttribute( 'data-ui' );
+        this.#current_index = null;
+        this.#current_source = null;
+        this.#manager = null;
+        this.#messages = {};
+        this.#labels.clear();
+
+        // Allow for any actions after destroy, the element can be initialized again
+        this.dispatchEvent( 'video.destroy' );
+    }
+
+    /**
+     * Is buffering
+     * @public
+     * @return {boolean} - True while the buffering state is set
+     */
+    isBuffering() {
+        return this.states.is( 'buffering' );
+    }
+
+    /**
+     * Show controls
+     * @public
+     * @param {null|number} timeout - Hide timeout in ms, uses controls.timeout if null, 0 to keep visible
+     * @return {void}
+     */
+    showControls( timeout = null ) {
+        window.clearTimeout( this.#timeouts.controls );
+        this.#timeouts.controls = null;
+        if ( !this.states.is( 'controlsShow' ) ) {
+            this.states.set( 'controlsShow' );
+            this.dispatchEvent( 'video.controls.show' );
+        }
+
+        // Hide after timeout, check again later if the controls must stay visible
+        if ( timeout === null ) timeout = this.config.get( 'controls.timeout' );
+        if ( !timeout ) return;
+        this.#timeouts.controls = window.setTimeout( () => {
+            this.#timeouts.controls = null;
+            if ( this.#controls_keep() ) {
+                if ( !this.video.paused && !this.video.ended ) this.showControls( timeout );
+                return;
+            }
+            this.hideControls();
+        }, timeout );
+    }
+
+    /**
+     * Hide controls
+     * @public
+     * @param {boolean} force - Hide even if the controls should stay visible
+     * @return {void}
+     */
+    hideControls( force = false ) {
+        if ( !force && this.#controls_keep() ) return;
+        window.clearTimeout( this.#timeouts.controls );
+        this.#timeouts.controls = null;
+        if ( this.states.is( 'controlsShow' ) ) {
+            this.states.unset( 'controlsShow' );
+            this.dispatchEvent( 'video.controls.hide' );
+        }
+    }
+
+    /**
+     * Register default messages, existing messages are not replaced
+     * @public
+     * @param {Object} messages - Messages by key
+     * @param {string} locale - Locale
+     * @return {void}
+     */
+    registerMessages( messages, locale = 'en' ) {
+        if ( !isPojo( messages ) ) throw new UiVideoComponentException( 'Argument messages must be a plain Object' );
+        if ( !this.#messages[ locale ] ) this.#messages[ locale ] = {};
+        this.#messages[ locale ] = Object.assign( {}, messages, this.#messages[ locale ] );
+    }
+
+    /**
+     * Get current locale
+     * @public
+     * @return {string} - Locale
+     */
+    getLocale() {
+        return this.config.get( 'locale.current' ) || document.documentElement.lang || this.config.get( 'locale.fallback' );
+    }
+
+    /**
+     * Set locale and update all labels
+     * @public
+     * @param {string} locale - Locale
+     * @return {void}
+     */
+    setLocale( locale ) {
+        if ( typeof locale !== 'string' || !locale.length ) {
+            throw new UiVideoComponentException( 'Argument locale must be a non empty string' );
+        }
+        this.config.set( 'locale.current', locale );
+        this.#labels.forEach( ( [ key, data ], element ) => { this.setLabel( element, key, data ); } );
+
+        // Update a visible error message
+        const error = this.getDomRefs( 'error', false );
+        if ( error && !error.hidden && this.#error_type ) error.innerText = this.getText( 'error.' + this.#error_type );
+
+        // Allow plugins to update any other texts
+        this.dispatchEvent( 'video.locale.change', { locale } );
+    }
+
+    /**
+     * Get message text for the current locale
+     * @public
+     * @param {string} key - Message key
+     * @param {Object} data - Placeholder data, placeholders are prefixed with a colon
+     * @return {string} - Message text or key if not available
+     */
+    getText( key, data = {} ) {
+        const text = this.#find_text( key, data, true );
+        if ( text !== null ) return text;
+        if ( this.debug ) this.debug.warn( this.constructor.name + '::getText Missing message', key );
+        return key;
+    }
+
+    /**
+     * Set aria-label and title, updated when the locale changes
+     * @public
+     * @param {HTMLElement} element - Element to label
+     * @param {string} key - Message key
+     * @param {Object} data - Placeholder data
+     * @return {void}
+     */
+    setLabel( element, key, data = {} ) {
+        const original = this.#labels.has( element ) ? this.#labels.get( element )[ 2 ]
+            : [ element.getAttribute( 'aria-label' ), element.getAttribute( 'title' ) ];
+        this.#labels.set( element, [ key, data, original ] );
+        if ( !this.config.get( 'locale.labels' ) ) return;
+
+        // Hand written values are kept, registered english defaults only fill in a missing label
+        const text = this.#find_text( key, data, false, false );
+        let label = text !== null ? text : original[ 0 ];
+        if ( label === null ) label = this.getText( key, data );
+        element.setAttribute( 'aria-label', label );
+        element.setAttribute( 'title', text === null && original[ 1 ] !== null ? original[ 1 ] : label );
+    }
+
+    /**
+     * Find message text for the current locale and its base language
+     * @private
+     * @param {string} key - Message key
+     * @param {Object} data - Placeholder data
+     * @param {boolean} fallback - Use the fallback locale
+     * @param {boolean} defaults - Use the registered english defaults
+     * @return {null|string} - Message text or null if not available
+     */
+    #find_text( key, data, fallback, defaults = true ) {
+        const locale = this.getLocale();
+        const locales = [ locale, locale.split( '-' )[ 0 ] ];
+        if ( fallback ) locales.push( this.config.get( 'locale.fallback' ) );
+        const custom = this.config.get( 'locale.messages' ) || {};
+        for ( let i = 0; i < locales.length; i++ ) {
+            const dictionaries = [ custom[ locales[ i ] ] ];
+            if ( defaults || locales[ i ] !== 'en' ) dictionaries.push( this.#messages[ locales[ i ] ] );
+            for ( let j = 0; j < dictionaries.length; j++ ) {
+                if ( dictionaries[ j ] && typeof dictionaries[ j ][ key ] === 'string' ) {
+                    return simpleReplace( dictionaries[ j ][ key ], data );
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Buffering start
+     * @private
+     * @param {Event} event - Video event
+     * @return {void}
+     */
+    #buffering_start( event ) {
+
+        // Initial loading has its own state and an active stall continues
+        if ( this.states.is( 'loading' ) || this.#buffering_since !== null ) return;
+        this.#buffering_since = Date.now();
+        const reason = event.type;
+        this.#timeouts.buffering = window.setTimeout( () => {
+            this.#timeouts.buffering = null;
+            this.states.set( 'buffering' );
+
+            // Allow for any actions when the buffering state is shown
+            this.dispatchEvent( 'video.buffering.start', { reason } );
+        }, this.config.get( 'buffering.delay' ) );
+    }
+
+    /**
+     * Buffering end
+     * @private
+     * @param {Event} event - Video event
+     * @return {void}
+     */
+    #buffering_end( event ) {
+        if ( this.#buffering_since === null ) return;
+        const duration = Date.now() - this.#buffering_since;
+        this.#buffering_since = null;
+
+        // Stall ended before the delay, nothing was shown
+        if ( this.#timeouts.buffering ) {
+            window.clearTimeout( this.#timeouts.buffering );
+            this.#timeouts.buffering = null;
+            return;
+        }
+        this.states.unset( 'buffering' );
+
+        // Allow for any actions after buffering, duration is the stall time in ms
+        const reason = event.type;
+        this.dispatchEvent( 'video.buffering.end', { reason, duration } );
+    }
+
+    /**
+     * Render default controls markup
+     * @private
+     * @return {void}
+     */
+    #render_controls() {
+        let items = this.config.get( 'controls.items' );
+        if ( !( items instanceof Array ) ) {
+            items = [ 'play', 'pause', 'replay' ];
+            const optional = [ 'progress', 'sound', 'fullscreen' ];
+            for ( let i = 0; i < optional.length; i++ ) {
+                if ( this.plugins?.get( optional[ i ] ) ) items.push( optional[ i ] );
+            }
+        }
+
+        // Plugins register their messages on init, the rendered controls need them now
+        for ( let i = 0; i < items.length; i++ ) {
+            const messages = this.plugins?.get( items[ i ] )?.constructor.pluginMessages;
+            if ( isPojo( messages ) ) this.registerMessages( messages );
+        }
+        const html = renderControls( items, this.config.get( 'controls.templates' ), ( key ) => { return this.getText( key ); } );
+        this.video.insertAdjacentHTML( 'beforebegin', html );
+        if ( this.debug ) this.debug.log( this.constructor.name + '::render_controls Rendered controls', items );
+    }
+
+    /**
+     * Create dom snapshot
+     * @private
+     * @return {void}
+     */
+    #create_snapshot() {
+        const video = this.video;
+        const elements = [ this.dom, ...this.dom.querySelectorAll( '*' ) ];
+        this.#snapshot = {
+            elements : elements.map( ( element ) => {
+                const attributes = [ ...element.attributes ].map( ( attr ) => { return [ attr.name, attr.value ]; } );
+                return [ element, attributes, [ ...element.childNodes ] ];
+            } ),
+            video : {
+                muted : video.muted,
+                volume : video.volume,
+                playbackRate : video.playbackRate,
+                defaultPlaybackRate : video.defaultPlaybackRate,
+            },
+        };
+    }
+
+    /**
+     * Restore dom snapshot
+     * @private
+     * @return {void}
+     */
+    #restore_snapshot() {
+        const elements = this.#snapshot.elements;
+        for ( let i = 0; i < elements.length; i++ ) {
+            const [ element, attributes, children ] = elements[ i ];
+
+            // Remove any added attributes and reset original values
+            const names = attributes.map( ( attr ) => { return attr[ 0 ]; } );
+            const current = [ ...element.attributes ];
+            for ( let j = 0; j < current.length; j++ ) {
+                if ( !names.includes( current[ j ].name ) ) element.removeAttribute( current[ j ].name );
+            }
+            for ( let j = 0; j < attributes.length; j++ ) element.setAttribute( ...attributes[ j ] );
+
+            // Remove created and restore original child nodes
+            element.replaceChildren( ...children );
+        }
+        Object.assign( this.video, this.#snapshot.video );
+        this.#snapshot = null;
+    }
+
+    /**
+     * Bind controls visibility
+     * @private
+     * @param {HTMLElement} controls - Controls element
+     * @return {void}
+     */
+    #bind_controls_visibility( controls ) {
+        const signal = this.signal;
+
+        // Always visible while paused or ended, hidden when playback starts
+        bindNodeList( [ this.video ], [
+            [ 'canplay', () => { if ( this.video.paused ) this.showControls( 0 ); }, { signal } ],
+            [ 'pause', () => { this.showControls( 0 ); }, { signal } ],
+            [ 'ended', () => { this.showControls( 0 ); }, { signal } ],
+            [ 'play', () => { this.hideControls(); }, { signal } ],
+        ] );
+
+        // Pointer, touch and focus activity
+        bindNodeList( [ controls ], [
+            [ 'pointerenter', ( event ) => { if ( event.pointerType !== 'touch' ) this.#controls_activity(); }, { signal } ],
+            [ 'pointermove', ( event ) => { if ( event.pointerType !== 'touch' ) this.#controls_activity(); }, { signal } ],
+            [ 'pointerleave', ( event ) => { if ( event.pointerType !== 'touch' ) this.hideControls(); }, { signal } ],
+            [ 'pointerdown', ( event ) => {
+                if ( event.pointerType === 'touch' && this.config.get( 'controls.touch' ) ) this.#controls_activity();
+            }, { signal } ],
+            [ 'focusin', () => { this.#controls_activity(); }, { signal } ],
+            [ 'focusout', () => { this.#controls_activity(); }, { signal } ],
+        ] );
+    }
+
+    /**
+     * Controls activity, shows the controls with timeout if playable
+     * @private
+     * @return {void}
+     */
+    #controls_activity() {
+        if ( this.states.is( 'playable' ) ) this.showControls();
+    }
+
+    /**
+     * Controls must stay visible
+     * @private
+     * @return {boolean} - Keep visible
+     */
+    #controls_keep() {
+        if ( this.video.paused || this.video.ended ) return true;
+        const controls = this.getDomRefs( 'controls', false );
+        if ( !controls ) return false;
+
+        // Open menus and similar
+        const keep = this.config.get( 'controls.keep' );
+        if ( keep && controls.querySelector( keep ) ) return true;
+
+        // Keyboard focus within the controls
+        const active = document.activeElement;
+        if ( !active || active === document.body || !controls.contains( active ) ) return false;
+        try {
+            return active.matches( ':focus-visible' );
+        } catch ( e ) {
+            return true;
+        }
+    }
+
+    /**
+     * Bind controls single and double click
+     * @private
+     * @param {HTMLElement} controls - Controls element
+     * @return {void}
+     */
+    #bind_multi_click( controls ) {
+        const signal = this.signal;
+
+        // Double click clears any delayed single click
+        controls.addEventListener( 'dblclick', ( event ) => {
+            window.clearTimeout( this.#timeouts.click );
+            event.stopImmediatePropagation();
+            this.dispatchEvent( 'video.controls.dblclick', { event } );
+        }, { signal } );
+
+        // Single click is delayed to detect a double click
+        controls.addEventListener( 'click', ( event ) => {
+            window.clearTimeout( this.#timeouts.click );
+            this.#timeouts.click = window.setTimeout( () => {
+                this.dispatchEvent( 'video.controls.click', { event } );
+            }, this.config.get( 'controls.frequency' ) );
+        }, { signal } );
+    }
+
+    /**
+     * Get current error type
+     * @public
+     * @return {null|string} - Error type: aborted, network, decode, unsupported, unknown
+     */
+    getErrorType() {
+        return this.#error_type;
+    }
+
+    /**
+     * Retry loading the current source
+     * @public
+     * @return {void}
+     */
+    retry() {
+        if ( this.#current_source === null ) return;
+        this.#error_attempts = 0;
+        this.#reload();
+    }
+
+    /**
+     * Join player manager
+     * @private
+     * @return {void}
+     */
+    #join_manager() {
+        const instance = this.config.get( 'manager.instance' );
+        if ( instance === false ) return;
+        if ( !( instance === null || instance instanceof UiVideoManager ) ) {
+            throw new UiVideoComponentException( 'Option manager.instance must be null, false or a UiVideoManager' );
+        }
+        const group = this.config.get( 'manager.group' );
+        this.#manager = instance || UiVideoManager.global;
+        this.#manager.join( this, group );
+        if ( this.config.get( 'manager.exclusive' ) ) this.#manager.setExclusive( group );
+    }
+
+    /**
+     * Get error type from event
+     * @private
+     * @param {Event} event - Error event
+     * @return {string} - Error type
+     */
+    #error_type_from( event ) {
+        const error = this.video.error;
+        if ( error && this.constructor.errorTypes[ error.code ] ) return this.constructor.errorTypes[ error.code ];
+
+        // Source elements do not expose a MediaError, unsupported only if no alternative was playable
+        if ( event.target instanceof HTMLSourceElement ) {
+            const elements = [ ...this.#source_elements() ];
+            const unsupported = elements.every( ( element ) => {
+                return element.type && !this.video.canPlayType( element.type );
+            } );
+            return unsupported ? 'unsupported' : 'network';
+        }
+        return 'unknown';
+    }
+
+    /**
+     * Get rendered source elements
+     * @private
+     * @return {NodeList<HTMLSourceElement>} - Source elements
+     */
+    #source_elements() {
+        return this.video.querySelectorAll( ':scope > source' );
+    }
+
+    /**
+     * Source element error, only handled once the last alternative failed
+     * @private
+     * @param {Event} event - Error event
+     * @return {void}
+     */
+    #event_alternative_error( event ) {
+        const elements = this.#source_elements();
+        if ( event.target !== elements[ elements.length - 1 ] ) {
+            if ( this.debug ) this.debug.warn( this.constructor.name + '::event_alternative_error Alternative failed:', event.target.src );
+            return;
+        }
+        this.#event_source_error( event );
+    }
+
     /**
      * Source error
      * @private
@@ -622,12 +1588,141 @@ export class UiVideoComponent extends UiComponent {
      * @return {void}
      */
     #event_source_error( event ) {
+
+        // A retry is already scheduled
+        if ( this.#timeouts.retry ) return;
+        const type = this.#error_type_from( event );
+        this.#error_set( type );
+
+        // Allow for any actions after source error, prevent to handle the recovery
+        if ( !this.dispatchEvent( 'video.source.error', { event, type }, true, true ) ) return;
+
+        // Retry the same source with backoff
+        const retries = this.config.get( 'error.retries' );
+        if ( type !== 'unsupported' && this.#error_attempts < retries ) {
+            const delay = this.config.get( 'error.delay' ) * Math.pow( 2, this.#error_attempts );
+            this.#error_attempts++;
+            const attempt = this.#error_attempts;
+            this.#error_recovering = true;
+            this.dispatchEvent( 'video.error.retry', { type, attempt, delay } );
+            this.#timeouts.retry = window.setTimeout( () => {
+                this.#timeouts.retry = null;
+                this.#reload();
+            }, delay );
+            return;
+        }
+
+        // Fall back to the next compatible source
+        const index = this.config.get( 'error.fallback' ) ? this.#find_fallback() : null;
+        if ( index !== null ) {
+            this.#error_recovering = true;
+            this.#error_attempts = 0;
+            this.dispatchEvent( 'video.error.fallback', { type, index } );
+            this.selectSource( index );
+            return;
+        }
+
+        // Give up and show the error message
+        this.#error_recovering = false;
+        const error = this.getDomRefs( 'error', false );
+        if ( error ) {
+            error.innerText = this.getText( 'error.' + type );
+            error.hidden = false;
+        }
+        const retry = this.getDomRefs( 'retry', false );
+        if ( retry ) this.constructor.showControl( retry, true );
+        if ( this.debug ) {
+            this.debug.error( this.constructor.name + '::event_source_error Failed to load source:', this.getCurrentSource() );
+        }
+        this.dispatchEvent( 'video.error.fatal', { type } );
+    }
+
+    /**
+     * Find next compatible source index
+     * @private
+     * @return {null|number} - Source index
+     */
+    #find_fallback() {
+        if ( this.#current_index === null ) return null;
+        const sources = this.config.get( 'sources' );
+        for ( let i = this.#current_index + 1; i < sources.length; i++ ) {
+            if ( sources[ i ].src !== this.#current_source?.getAttribute( 'src' ) && this.canPlaySource( sources[ i ] ) ) return i;
+        }
+        return null;
+    }
+
+    /**
+     * Reload current source and restore position
+     * @private
+     * @return {void}
+     */
+    #reload() {
+        const time = this.video.currentTime;
+        const paused = this.video.paused;
+        this.#error_recovering = true;
+        this.#error_clear();
+        this.states.set( 'loading' );
+        this.video.addEventListener( 'loadedmetadata', () => {
+            if ( time ) this.video.currentTime = time;
+            if ( !paused ) this.video.play();
+        }, { once : true, signal : this.signal } );
+        this.video.load();
+    }
+
+    /**
+     * Set error type and state
+     * @private
+     * @param {string} type - Error type
+     * @return {void}
+     */
+    #error_set( type ) {
+        this.#error_clear();
+        this.#error_type = type;
         this.states.set( 'error' );
+        this.states.set( 'error' + ucfirst( type ) );
+    }
 
-        // Allow for any actions after source error and before exception is thrown
-        this.dispatchEvent( 'video.source.error', { event } );
+    /**
+     * Clear error type, state and message
+     * @private
+     * @return {void}
+     */
+    #error_clear() {
+        if ( this.#error_type ) this.states.unset( 'error' + ucfirst( this.#error_type ) );
+        this.#error_type = null;
+        const error = this.getDomRefs( 'error', false );
+        if ( error ) error.hidden = true;
+        const retry = this.getDomRefs( 'retry', false );
+        if ( retry ) this.constructor.hideControl( retry, true );
+    }
+
+    /**
+     * Reset error recovery
+     * @private
+     * @param {boolean} fallback - Keep recovery state for a fallback source
+     * @return {void}
+     */
+    #error_reset( fallback = false ) {
+        window.clearTimeout( this.#timeouts.retry );
+        this.#timeouts.retry = null;
+        this.#error_clear();
+        if ( !fallback ) {
+            this.#error_recovering = false;
+            this.#error_attempts = 0;
+        }
+    }
+
+    /**
+     * Recovery completed
+     * @private
+     * @return {void}
+     */
+    #error_recovered() {
+        if ( !this.#error_recovering ) return;
+        this.#error_recovering = false;
+        this.#error_attempts = 0;
 
-        // Throwing an exception has no real effect here, but is done out of principle and for notification purposes
-        throw new UiVideoComponentException( 'Failed to load source: ' + this.getCurrentSource() );
+        // Allow for any actions after the video recovered from an error
+        this.dispatchEvent( 'video.error.recovered', { source : this.getCurrentSource() } );
     }
 }
@@ -0,0 +1,253 @@
+/**
+ * Requires
+ */
+import { EventDispatcher, Exception } from '@squirrel-forge/ui-util';
+
+/**
+ * Ui video manager exception
+ * @class
+ * @extends Exception
+ */
+class UiVideoManagerException extends Exception {}
+
+/**
+ * @typedef {Object} VideoManagerEntry
+ * @property {UiVideoComponent} player - Video component
+ * @property {string} group - Group name
+ * @property {AbortController} abort - Removes the manager listeners
+ */
+
+/**
+ * Ui video manager
+ * @class
+ * @extends EventDispatcher
+ */
+export class UiVideoManager extends EventDispatcher {
+
+    /**
+     * Global manager instance
+     * @private
+     * @static
+     * @property
+     * @type {null|UiVideoManager}
+     */
+    static #global = null;
+
+    /**
+     * Registered players
+     * @private
+     * @property
+     * @type {Array<VideoManagerEntry>}
+     */
+    #entries = [];
+
+    /**
+     * Exclusive groups
+     * @private
+     * @property
+     * @type {Object}
+     */
+    #exclusive = {};
+
+    /**
+     * Global manager getter, used by all components without a manager instance
+     * @public
+     * @static
+     * @return {UiVideoManager} - Global manager
+     */
+    static get global() {
+        if ( !this.#global ) this.#global = new UiVideoManager();
+        return this.#global;
+    }
+
+    /**
+     * Constructor
+     * @constructor
+     * @param {null|console|Object} debug - Debug object
+     */
+    constructor( debug = null ) {
+        super( null, null, debug );
+    }
+
+    /**
+     * Register player, leaves automatically when the player is destroyed
+     * @public
+     * @param {UiVideoComponent} player - Video component
+     * @param {string} group - Group name
+     * @return {void}
+     */
+    join( player, group = 'default' ) {
+        if ( !player || !( player.video instanceof HTMLVideoElement ) || !player.signal ) {
+            throw new UiVideoManagerException( 'Argument player must be an initialized UiVideoComponent' );
+        }
+        if ( typeof group !== 'string' || !group.length ) {
+            throw new UiVideoManagerException( 'Argument group must be a non empty string' );
+        }
+        if ( this.#get_entry( player ) ) return;
+        const abort = new AbortController();
+        const entry = { player, group, abort };
+        this.#entries.push( entry );
+
+        // Aggregate player events
+        const signal = abort.signal;
+        player.video.addEventListener( 'play', () => { this.#event_play( entry ); }, { signal } );
+        player.video.addEventListener( 'pause', () => { this.#notify( 'pause', entry ); }, { signal } );
+        player.video.addEventListener( 'ended', () => { this.#notify( 'ended', entry ); }, { signal } );
+        player.video.addEventListener( 'volumechange', () => { this.#notify( 'volume', entry ); }, { signal } );
+        player.signal.addEventListener( 'abort', () => { this.leave( player ); }, { signal } );
+        this.#notify( 'join', entry );
+    }
+
+    /**
+     * Unregister player
+     * @public
+     * @param {UiVideoComponent} player - Video component
+     * @return {void}
+     */
+    leave( player ) {
+        const entry = this.#get_entry( player );
+        if ( !entry ) return;
+        entry.abort.abort();
+        this.#entries.splice( this.#entries.indexOf( entry ), 1 );
+        this.#notify( 'leave', entry );
+    }
+
+    /**
+     * Check if player is registered
+     * @public
+     * @param {UiVideoComponent} player - Video component
+     * @return {boolean} - Registered state
+     */
+    has( player ) {
+        return !!this.#get_entry( player );
+    }
+
+    /**
+     * Get player group
+     * @public
+     * @param {UiVideoComponent} player - Video component
+     * @return {null|string} - Group name
+     */
+    getGroup( player ) {
+        const entry = this.#get_entry( player );
+        return entry ? entry.group : null;
+    }
+
+    /**
+     * Get players
+     * @public
+     * @param {null|string} group - Group name, all groups if null
+     * @return {Array<UiVideoComponent>} - Players
+     */
+    getPlayers( group = null ) {
+        return this.#get_entries( group ).map( ( entry ) => { return entry.player; } );
+    }
+
+    /**
+     * Get playing players
+     * @public
+     * @param {null|string} group - Group name, all groups if null
+     * @return {Array<UiVideoComponent>} - Players
+     */
+    getPlaying( group = null ) {
+        return this.getPlayers( group ).filter( ( player ) => { return !player.video.paused && !player.video.ended; } );
+    }
+
+    /**
+     * Pause players
+     * @public
+     * @param {null|string} group - Group name, all groups if null
+     * @param {null|UiVideoComponent} except - Player to keep playing
+     * @return {void}
+     */
+    pauseAll( group = null, except = null ) {
+        const players = this.getPlaying( group );
+        for ( let i = 0; i < players.length; i++ ) {
+            if ( players[ i ] !== except ) players[ i ].video.pause();
+        }
+    }
+
+    /**
+     * Mute or unmute players
+     * @public
+     * @param {boolean} muted - Muted state
+     * @param {null|string} group - Group name, all groups if null
+     * @return {void}
+     */
+    muteAll( muted = true, group = null ) {
+        const players = this.getPlayers( group );
+        for ( let i = 0; i < players.length; i++ ) {
+            players[ i ].video.muted = !!muted;
+        }
+    }
+
+    /**
+     * Set exclusive group mode, starting a player pauses all others of the group
+     * @public
+     * @param {string} group - Group name
+     * @param {boolean} exclusive - Exclusive state
+     * @return {void}
+     */
+    setExclusive( group = 'default', exclusive = true ) {
+        this.#exclusive[ group ] = !!exclusive;
+        if ( exclusive ) {
+            const playing = this.getPlaying( group );
+            if ( playing.length > 1 ) this.pauseAll( group, playing[ 0 ] );
+        }
+    }
+
+    /**
+     * Is exclusive group
+     * @public
+     * @param {string} group - Group name
+     * @return {boolean} - Exclusive state
+     */
+    isExclusive( group = 'default' ) {
+        return !!this.#exclusive[ group ];
+    }
+
+    /**
+     * Get player entry
+     * @private
+     * @param {UiVideoComponent} player - Video component
+     * @return {null|VideoManagerEntry} - Entry
+     */
+    #get_entry( player ) {
+        return this.#entries.find( ( entry ) => { return entry.player === player; } ) || null;
+    }
+
+    /**
+     * Get entries by group
+     * @private
+     * @param {null|string} group - Group name, all groups if null
+     * @return {Array<VideoManagerEntry>} - Entries
+     */
+    #get_entries( group = null ) {
+        if ( group === null ) return [ ...this.#entries ];
+        return this.#entries.filter( ( entry ) => { return entry.group === group; } );
+    }
+
+    /**
+     * Player play event
+     * @private
+     * @param {VideoManagerEntry} entry - Player entry
+     * @return {void}
+     */
+    #event_play( entry ) {
+        if ( this.isExclusive( entry.group ) ) this.pauseAll( entry.group, entry.player );
+        this.#notify( 'play', entry );
+    }
+
+    /**
+     * Dispatch manager event
+     * @private
+     * @param {string} name - Event name suffix
+     * @param {VideoManagerEntry} entry - Player entry
+     * @return {void}
+     */
+    #notify( name, entry ) {
+        const player = entry.player;
+        const group = entry.group;
+        this.dispatchEvent( 'video.manager.' + name, { player, group } );
+    }
+}
@@ -11,12 +11,35 @@
  * Video
  */
 export { UiVideoComponent } from './Video/UiVideoComponent.js';
+export { UiVideoManager } from './Video/UiVideoManager.js';
 
 /**
  * Plugins
  */
+export { UiVideoPluginAds } from './Plugins/UiVideoPluginAds.js';
+export { UiVideoPluginAnnouncer } from './Plugins/UiVideoPluginAnnouncer.js';
+export { UiVideoPluginCaptions } from './Plugins/UiVideoPluginCaptions.js';
+export { UiVideoPluginChapters } from './Plugins/UiVideoPluginChapters.js';
 export { UiVideoPluginFullscreen } from './Plugins/UiVideoPluginFullscreen.js';
+export { UiVideoPluginKeyboard } from './Plugins/UiVideoPluginKeyboard.js';
+export { UiVideoPluginPip } from './Plugins/UiVideoPluginPip.js';
+export { UiVideoPluginPlaylist } from './Plugins/UiVideoPluginPlaylist.js';
+export { UiVideoPluginPreview } from './Plugins/UiVideoPluginPreview.js';
 export { UiVideoPluginProgress } from './Plugins/UiVideoPluginProgress.js';
+export { UiVideoPluginQuality } from './Plugins/UiVideoPluginQuality.js';
 export { UiVideoPluginResponsive } from './Plugins/UiVideoPluginResponsive.js';
+export { UiVideoPluginResume } from './Plugins/UiVideoPluginResume.js';
 export { UiVideoPluginSound } from './Plugins/UiVideoPluginSound.js';
+export { UiVideoPluginSpeed } from './Plugins/UiVideoPluginSpeed.js';
+export { UiVideoPluginTime } from './Plugins/UiVideoPluginTime.js';
+export { UiVideoPluginTouch } from './Plugins/UiVideoPluginTouch.js';
 export { UiVideoPluginTracking } from './Plugins/UiVideoPluginTracking.js';
+export { UiVideoPluginVisibility } from './Plugins/UiVideoPluginVisibility.js';
+
+/**
+ * Utils
+ */
+export { loadText } from './Utils/loadText.js';
+export { parseVAST, parseVASTTime } from './Utils/parseVAST.js';
+export { parseWebVTT, parseWebVTTTime } from './Utils/parseWebVTT.js';
+export { renderControls, controlsDefault, controlsTemplates, controlsPlaceholders } from './Utils/renderControls.mjs';
@@ -0,0 +1,27 @@
+/**
+ * Node smoke check, the controls renderer must load and render without a dom
+ * Run: node test/renderControls.node.mjs
+ */
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { renderControls } from '../src/es6/Utils/renderControls.mjs';
+
+assert.equal( typeof globalThis.window, 'undefined', 'Must run without a dom' );
+
+// Default controls
+const html = renderControls();
+assert.match( html, /^<div class="ui-video__controls">/ );
+assert.match( html, /data-video="ctrl:play"/ );
+assert.match( html, /data-video="ctrl:fullscreen"/ );
+assert.match( html, /aria-label="progress.input"/ );
+
+// Texts are escaped
+assert.match( renderControls( [ 'play' ], null, { 'control.play' : '<b>$1</b>' } ), />&lt;b&gt;&#36;1&lt;\/b&gt;</ );
+
+// Unknown controls throw
+assert.throws( () => { renderControls( [ 'unknown' ] ); }, {
+    name : 'RenderControlsException',
+    message : 'No template available for: unknown',
+} );
+
+process.stdout.write( 'renderControls node smoke check passed\n' );